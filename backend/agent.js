@@ -0,0 +1,52 @@
+// Push agent: run on each monitored machine to report its metrics to the
+// dashboard server.
+//
+//   CIS_SERVER_URL=http://monitor:4000 CIS_AGENT_TOKEN=<token> node agent.js
+//
+// Optional: CIS_AGENT_INTERVAL_MS (default 10000), CIS_AGENT_TAGS, a
+// comma-separated list such as "prod,eu-west,db", and CIS_AGENT_HOSTNAME to
+// report under a different name than os.hostname() (e.g. in containers).
+const { createMetricsCollector } = require('./metrics');
+
+const SERVER_URL = (process.env.CIS_SERVER_URL || 'http://localhost:4000').replace(/\/$/, '');
+const TOKEN = process.env.CIS_AGENT_TOKEN;
+const INTERVAL_MS = parseInt(process.env.CIS_AGENT_INTERVAL_MS) || 10000;
+const TAGS = (process.env.CIS_AGENT_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean);
+const HOSTNAME = process.env.CIS_AGENT_HOSTNAME;
+const REQUEST_TIMEOUT_MS = 5000;
+
+if (!TOKEN) {
+  console.error('CIS_AGENT_TOKEN is required (it must match one of the server\'s AGENT_TOKENS)');
+  process.exit(1);
+}
+
+const getRealMetrics = createMetricsCollector();
+
+async function push() {
+  const metrics = getRealMetrics();
+  if (HOSTNAME) metrics.hostname = HOSTNAME;
+
+  const response = await fetch(`${SERVER_URL}/api/agent/metrics`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TOKEN}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ metrics, tags: TAGS }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Push failed (${response.status}): ${errorText}`);
+  }
+}
+
+// The CPU and network collectors report deltas, so prime them first and
+// only push once a full interval has elapsed
+getRealMetrics();
+console.log(`Reporting to ${SERVER_URL} every ${INTERVAL_MS / 1000}s`);
+
+setInterval(() => {
+  push().catch(err => console.error(new Date().toISOString(), err.message));
+}, INTERVAL_MS);
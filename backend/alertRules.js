@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { COMPARATORS, DEFAULT_RULES } = require('./alerts');
+const { METRICS } = require('./history');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const FIELDS = ['name', 'metric', 'comparator', 'threshold', 'duration', 'severity', 'labels', 'enabled'];
+
+// Returns an object of field -> message; empty when the rule is valid.
+// With `partial`, missing fields are allowed (for updates).
+function validateRule(input, { partial = false } = {}) {
+  const errors = {};
+  const has = field => input[field] !== undefined;
+  const check = (field, valid, message) => {
+    if (has(field) ? !valid(input[field]) : !partial) errors[field] = message;
+  };
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { _: 'Rule must be a JSON object' };
+  }
+  Object.keys(input).forEach(field => {
+    if (!FIELDS.includes(field) && field !== 'id') errors[field] = 'Unknown field';
+  });
+
+  check('name', v => typeof v === 'string' && v.trim().length > 0 && v.length <= 100, 'Name is required (max 100 characters)');
+  check('metric', v => METRICS.includes(v), `Metric must be one of: ${METRICS.join(', ')}`);
+  check('comparator', v => Object.prototype.hasOwnProperty.call(COMPARATORS, v), `Comparator must be one of: ${Object.keys(COMPARATORS).join(' ')}`);
+  check('threshold', v => typeof v === 'number' && Number.isFinite(v), 'Threshold must be a number');
+  if (has('duration') || !partial) {
+    const v = input.duration === undefined ? 0 : input.duration;
+    if (!Number.isInteger(v) || v < 0) errors.duration = 'Duration must be a whole number of seconds (0 or more)';
+  }
+  check('severity', v => SEVERITIES.includes(v), `Severity must be one of: ${SEVERITIES.join(', ')}`);
+  if (has('labels')) {
+    const v = input.labels;
+    if (!v || typeof v !== 'object' || Array.isArray(v) || Object.values(v).some(label => typeof label !== 'string')) {
+      errors.labels = 'Labels must be an object of string values';
+    }
+  }
+  if (has('enabled') && typeof input.enabled !== 'boolean') errors.enabled = 'Enabled must be true or false';
+
+  return errors;
+}
+
+function pickFields(input) {
+  const rule = {};
+  FIELDS.forEach(field => {
+    if (input[field] !== undefined) rule[field] = input[field];
+  });
+  if (typeof rule.name === 'string') rule.name = rule.name.trim();
+  return rule;
+}
+
+// Alert rules persisted to a JSON file, seeded with DEFAULT_RULES
+function createRuleStore({ file }) {
+  let rules = DEFAULT_RULES.map(rule => ({ ...rule }));
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(rules, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function load() {
+    if (fs.existsSync(file)) rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  const list = () => rules;
+  const get = id => rules.find(rule => rule.id === id);
+
+  function create(input) {
+    const rule = { duration: 0, labels: {}, enabled: true, ...pickFields(input), id: crypto.randomUUID() };
+    rules.push(rule);
+    save();
+    return rule;
+  }
+
+  function update(id, input) {
+    const index = rules.findIndex(rule => rule.id === id);
+    if (index === -1) return null;
+    rules[index] = { ...rules[index], ...pickFields(input) };
+    save();
+    return rules[index];
+  }
+
+  function remove(id) {
+    const before = rules.length;
+    rules = rules.filter(rule => rule.id !== id);
+    if (rules.length === before) return false;
+    save();
+    return true;
+  }
+
+  return { load, list, get, create, update, remove };
+}
+
+// Checks a rule against a single metrics sample, ignoring its duration
+function testRule(rule, sample) {
+  const value = sample[rule.metric];
+  return {
+    metric: rule.metric,
+    value: typeof value === 'number' ? value : null,
+    comparator: rule.comparator,
+    threshold: rule.threshold,
+    breaching: typeof value === 'number' && COMPARATORS[rule.comparator](value, rule.threshold),
+    hostname: sample.hostname,
+    timestamp: sample.timestamp
+  };
+}
+
+module.exports = { createRuleStore, validateRule, testRule, SEVERITIES };
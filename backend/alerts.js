@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+// Resolved alerts kept around for GET /api/alerts
+const MAX_RESOLVED = 100;
+
+// Defaults mirror the thresholds the Dashboard used to colour metrics with
+const DEFAULT_RULES = [
+  { id: 'cpu-warning', name: 'High CPU usage', metric: 'cpu', comparator: '>', threshold: 60, duration: 120, severity: 'warning', labels: {}, enabled: true },
+  { id: 'cpu-critical', name: 'Critical CPU usage', metric: 'cpu', comparator: '>', threshold: 80, duration: 120, severity: 'critical', labels: {}, enabled: true },
+  { id: 'memory-warning', name: 'High memory usage', metric: 'memory', comparator: '>', threshold: 70, duration: 60, severity: 'warning', labels: {}, enabled: true },
+  { id: 'memory-critical', name: 'Critical memory usage', metric: 'memory', comparator: '>', threshold: 85, duration: 0, severity: 'critical', labels: {}, enabled: true },
+  { id: 'disk-warning', name: 'High disk usage', metric: 'disk', comparator: '>', threshold: 75, duration: 0, severity: 'warning', labels: {}, enabled: true },
+  { id: 'disk-critical', name: 'Critical disk usage', metric: 'disk', comparator: '>', threshold: 90, duration: 0, severity: 'critical', labels: {}, enabled: true }
+];
+
+// Evaluates rules against each metrics sample. Every (rule, host) pair has at
+// most one active alert, which moves pending -> firing -> resolved; a pending
+// alert whose condition clears before `duration` elapses becomes inactive.
+function createAlertEngine({ getRules, onChange }) {
+  const active = new Map();
+  const resolved = [];
+
+  function transition(alert, state, at) {
+    alert.state = state;
+    alert[`${state}At`] = at;
+    onChange(alert);
+  }
+
+  function resolve(key, alert, at) {
+    active.delete(key);
+    if (alert.state !== 'firing') {
+      alert.state = 'inactive';
+      onChange(alert);
+      return;
+    }
+    transition(alert, 'resolved', at);
+    resolved.unshift(alert);
+    resolved.splice(MAX_RESOLVED);
+  }
+
+  function evaluate(sample) {
+    const now = new Date(Date.parse(sample.timestamp) || Date.now()).toISOString();
+    const rules = getRules().filter(rule => rule.enabled);
+    const seen = new Set();
+
+    rules.forEach(rule => {
+      const value = sample[rule.metric];
+      if (typeof value !== 'number') return;
+
+      const key = `${rule.id}:${sample.hostname}`;
+      const alert = active.get(key);
+      seen.add(key);
+
+      if (!COMPARATORS[rule.comparator](value, rule.threshold)) {
+        if (alert) {
+          alert.value = value;
+          resolve(key, alert, now);
+        }
+        return;
+      }
+
+      if (!alert) {
+        const created = {
+          id: crypto.randomUUID(),
+          ruleId: rule.id,
+          name: rule.name,
+          metric: rule.metric,
+          comparator: rule.comparator,
+          threshold: rule.threshold,
+          severity: rule.severity,
+          labels: rule.labels,
+          hostname: sample.hostname,
+          value,
+          state: 'pending',
+          pendingAt: now
+        };
+        active.set(key, created);
+        if (rule.duration > 0) {
+          onChange(created);
+        } else {
+          transition(created, 'firing', now);
+        }
+        return;
+      }
+
+      alert.value = value;
+      const elapsed = (Date.parse(now) - Date.parse(alert.pendingAt)) / 1000;
+      if (alert.state === 'pending' && elapsed >= rule.duration) {
+        transition(alert, 'firing', now);
+      }
+    });
+
+    // Rules that were deleted or disabled resolve their alerts. Alerts for
+    // other hosts are left alone until a sample from that host arrives.
+    active.forEach((alert, key) => {
+      if (alert.hostname === sample.hostname && !seen.has(key)) resolve(key, alert, now);
+    });
+  }
+
+  function list() {
+    return { active: Array.from(active.values()), resolved: resolved.slice() };
+  }
+
+  return { evaluate, list };
+}
+
+module.exports = { createAlertEngine, COMPARATORS, DEFAULT_RULES };
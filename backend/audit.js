@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// The id is already in the entry's target; the timestamps change on every
+// write and would only add noise
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+// Field -> { from, to } for every field that differs. `before` is null for
+// creations and `after` is null for deletions.
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  });
+  return changes;
+}
+
+function parseTime(value) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Validates GET /api/audit query parameters; returns { options, errors }
+function parseAuditQuery(query) {
+  const errors = {};
+
+  const text = field => (typeof query[field] === 'string' ? query[field].trim() : '');
+
+  const time = field => {
+    if (!query[field]) return null;
+    const value = parseTime(String(query[field]));
+    if (value === null) errors[field] = 'Must be epoch milliseconds or an ISO timestamp';
+    return value;
+  };
+
+  const integer = (field, fallback, max = Infinity) => {
+    if (query[field] === undefined || query[field] === '') return fallback;
+    const value = Number(query[field]);
+    if (!Number.isSafeInteger(value) || value < 1 || value > max) {
+      errors[field] = max === Infinity ? 'Must be a positive whole number' : `Must be a whole number between 1 and ${max}`;
+    }
+    return value;
+  };
+
+  const options = {
+    actor: text('actor').toLowerCase(),
+    actions: text('action').split(',').map(action => action.trim()).filter(Boolean),
+    targetType: text('targetType'),
+    targetId: text('targetId'),
+    from: time('from'),
+    to: time('to'),
+    page: integer('page', 1),
+    pageSize: integer('pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+  };
+  return { options, errors };
+}
+
+// Append-only audit trail kept as JSON Lines: entries are never rewritten,
+// so the file can be shipped or tailed like any other log
+function createAuditLog({ file }) {
+  let entries = [];
+  let lastId = 0;
+
+  // A line cut short by a crash or edited by hand is reported and skipped,
+  // so one bad entry does not hide the rest of the log
+  function load() {
+    if (!fs.existsSync(file)) return;
+    const content = fs.readFileSync(file, 'utf8');
+    // New entries must start on a line of their own after a cut-off one
+    if (content && !content.endsWith('\n')) fs.appendFileSync(file, '\n');
+    entries = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        console.error(`Skipping unreadable audit log line ${index + 1}:`, err.message);
+      }
+    });
+    lastId = entries.reduce((max, entry) => (Number.isInteger(entry.id) && entry.id > max ? entry.id : max), 0);
+  }
+
+  function record({ actor, action, target, changes, details, ip, userAgent }) {
+    const entry = {
+      id: ++lastId,
+      timestamp: new Date().toISOString(),
+      actor: actor ? { id: actor.id, email: actor.email, name: actor.name } : null,
+      action,
+      target,
+      changes: changes && Object.keys(changes).length > 0 ? changes : undefined,
+      details,
+      ip,
+      userAgent
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+    entries.push(entry);
+    return entry;
+  }
+
+  // Newest first; pageSize null returns every match
+  function query({ actor, actions = [], targetType, targetId, from, to, page = 1, pageSize = DEFAULT_PAGE_SIZE }) {
+    const matches = entries.filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      return (!actor || (entry.actor && (String(entry.actor.id) === actor || entry.actor.email.toLowerCase() === actor)))
+        && (actions.length === 0 || actions.includes(entry.action))
+        && (!targetType || (entry.target && entry.target.type === targetType))
+        && (!targetId || (entry.target && String(entry.target.id) === targetId))
+        && (from === null || from === undefined || time >= from)
+        && (to === null || to === undefined || time <= to);
+    }).reverse();
+    const start = pageSize ? (page - 1) * pageSize : 0;
+    return { entries: pageSize ? matches.slice(start, start + pageSize) : matches, total: matches.length };
+  }
+
+  // Distinct actions seen so far, for filter menus
+  const actions = () => [...new Set(entries.map(entry => entry.action))].sort();
+
+  return { load, record, query, actions };
+}
+
+module.exports = { createAuditLog, parseAuditQuery, diff };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const SESSION_COOKIE = 'cis_session';
+
+// Tolerated difference between our clock and Google's when checking exp/iat
+const CLOCK_SKEW_S = 60;
+const REQUEST_TIMEOUT_MS = 5000;
+// Tokens with made-up key ids must not turn into a stream of key fetches
+const MIN_REFRESH_INTERVAL_MS = 60000;
+
+// Fetches Google's signing keys, cached for as long as Cache-Control allows
+function createGoogleJwks({ url = GOOGLE_JWKS_URL } = {}) {
+  let cached = null;
+  let expiresAt = 0;
+
+  return async function getJwks({ refresh = false } = {}) {
+    if (cached && !refresh && Date.now() < expiresAt) return cached;
+    const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Google signing keys (${response.status})`);
+    }
+    cached = await response.json();
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    expiresAt = Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : 3600000);
+    return cached;
+  };
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new Error('Malformed ID token');
+  }
+}
+
+// Verifies a Google ID token (RS256 JWT) and returns its claims. `jwks` is
+// either a key set ({ keys: [...] }) or a function returning one, so tests
+// can run offline against their own keys.
+function createIdTokenVerifier({ clientId, jwks = createGoogleJwks(), refreshIntervalMs = MIN_REFRESH_INTERVAL_MS }) {
+  const getJwks = typeof jwks === 'function' ? jwks : async () => jwks;
+  let lastRefresh = -Infinity;
+
+  async function findKey(kid) {
+    const match = set => (set.keys || []).find(key => key.kid === kid);
+    const key = match(await getJwks());
+    // An unknown kid usually means Google rotated its keys since we cached
+    // them, but refetching is allowed only once per interval
+    if (key || Date.now() - lastRefresh < refreshIntervalMs) return key;
+    lastRefresh = Date.now();
+    return match(await getJwks({ refresh: true }));
+  }
+
+  return async function verifyIdToken(token) {
+    if (!clientId) {
+      throw new Error('GOOGLE_CLIENT_ID is not configured');
+    }
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new Error('Malformed ID token');
+    }
+    const header = decodeSegment(parts[0]);
+    const claims = decodeSegment(parts[1]);
+    if (header.alg !== 'RS256') {
+      throw new Error('Unsupported ID token algorithm');
+    }
+
+    const jwk = await findKey(header.kid);
+    if (!jwk) {
+      throw new Error('ID token signed with an unknown key');
+    }
+    const valid = crypto.verify(
+      'RSA-SHA256',
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+      throw new Error('Invalid ID token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!GOOGLE_ISSUERS.includes(claims.iss)) {
+      throw new Error('ID token was not issued by Google');
+    }
+    if (!audiences.includes(clientId)) {
+      throw new Error('ID token was issued for a different client');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_S < now) {
+      throw new Error('ID token has expired');
+    }
+    if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_S > now) {
+      throw new Error('ID token was issued in the future');
+    }
+    // Only an explicit true counts; a token without the claim is refused
+    if (!claims.email || claims.email_verified !== true) {
+      throw new Error('Google account has no verified email address');
+    }
+    return claims;
+  };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (err) {
+      // Ignore cookies that are not ours and not URI-encoded
+    }
+  });
+  return cookies;
+}
+
+module.exports = { createGoogleJwks, createIdTokenVerifier, parseCookies, SESSION_COOKIE };
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+
+const { estimateTokens } = require('./llm/common');
+
+// Clients send only the conversation; the system prompt is the operator's
+const CHAT_ROLES = ['user', 'assistant'];
+// As many as a saved conversation may hold
+const MAX_MESSAGES = 500;
+const REQUEST_FIELDS = ['messages', 'provider', 'model'];
+
+const DEFAULT_SYSTEM_PROMPT = [
+  'You are the AI operations assistant of the CIS Operations Dashboard, used by IT staff to monitor servers.',
+  'The dashboard collects CPU, memory, disk and network metrics from this server and from agents on other hosts,',
+  'raises threshold alerts and sends notifications. Help with monitoring, troubleshooting and general IT questions.',
+  'Use the tools you are given to look up live metrics, alerts, hosts and user counts instead of guessing values,',
+  'and quote the numbers they return.',
+  'Be concise and practical, and say so when you are unsure rather than guessing.'
+].join(' ');
+
+// Per-message framing on top of the text itself
+const turnTokens = text => estimateTokens(text) + 4;
+
+// Longest an earlier question may be when listed in the summary of dropped
+// turns, and the share of the budget set aside for that summary
+const SUMMARY_QUESTION_CHARS = 120;
+const SUMMARY_SHARE = 0.15;
+
+// Returns an object of field -> message; empty when the request is valid.
+// Size is checked separately (see contentLength) so it can answer 413, and
+// whether the provider and model exist by the LLM registry.
+function validateChatRequest(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { _: 'Request must be a JSON object' };
+  }
+  const errors = {};
+  Object.keys(input).forEach(field => {
+    if (!REQUEST_FIELDS.includes(field)) errors[field] = 'Unknown field';
+  });
+  ['provider', 'model'].forEach(field => {
+    if (input[field] !== undefined && typeof input[field] !== 'string') errors[field] = `${field} must be a string`;
+  });
+  const { messages } = input;
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_MESSAGES) {
+    errors.messages = `Messages must be a list of 1 to ${MAX_MESSAGES} messages`;
+  } else if (messages.some(message => !message || !CHAT_ROLES.includes(message.role) || typeof message.content !== 'string')) {
+    errors.messages = `Each message needs a role (${CHAT_ROLES.join(', ')}) and text content`;
+  } else if (messages[messages.length - 1].role !== 'user' || !messages[messages.length - 1].content.trim()) {
+    errors.messages = 'The last message must be the question to answer';
+  }
+  return errors;
+}
+
+// Index of the oldest turn that still fits when keeping the newest ones
+function fitNewest(turns, available) {
+  let start = turns.length;
+  let remaining = available;
+  while (start > 0 && turnTokens(turns[start - 1].content) <= remaining) {
+    start -= 1;
+    remaining -= turnTokens(turns[start].content);
+  }
+  return { start, remaining };
+}
+
+// Puts the system prompt in front of a validated conversation and fits it
+// in `budget` tokens. The newest turns are kept; older ones are dropped and
+// summarised in the system prompt by the questions the user asked.
+function buildContext(messages, { systemPrompt, budget }) {
+  const turns = messages.filter(message => message.content);
+  // Chat templates expect the user to speak first, so drop the greeting
+  while (turns.length > 0 && turns[0].role === 'assistant') turns.shift();
+
+  const available = budget - turnTokens(systemPrompt);
+  let { start, remaining } = fitNewest(turns, available);
+  if (start > 0) {
+    // Something has to go, so leave room to say what
+    const reserve = Math.floor(budget * SUMMARY_SHARE);
+    ({ start, remaining } = fitNewest(turns, available - reserve));
+    remaining += reserve;
+  }
+  // Always send the latest question, cut down if it alone is over budget
+  if (start === turns.length && turns.length > 0) {
+    const last = turns[turns.length - 1];
+    return [
+      { role: 'system', content: systemPrompt },
+      { role: last.role, content: last.content.slice(0, Math.max(0, remaining - 4) * 4) }
+    ];
+  }
+
+  let system = systemPrompt;
+  const dropped = turns.slice(0, start).filter(turn => turn.role === 'user');
+  if (dropped.length > 0) {
+    const lines = [];
+    const summary = '\n\nEarlier in this conversation the user asked:';
+    remaining -= turnTokens(summary);
+    // Most recent first, so the questions closest to the kept turns survive
+    for (let i = dropped.length - 1; i >= 0; i -= 1) {
+      const question = dropped[i].content.replace(/\s+/g, ' ').slice(0, SUMMARY_QUESTION_CHARS);
+      const line = `\n- ${question}`;
+      if (turnTokens(line) > remaining) break;
+      remaining -= turnTokens(line);
+      lines.unshift(line);
+    }
+    if (lines.length > 0) system += summary + lines.join('');
+  }
+  return [{ role: 'system', content: system }, ...turns.slice(start).map(({ role, content }) => ({ role, content }))];
+}
+
+const contentLength = messages => messages.reduce((total, message) => total + message.content.length, 0);
+
+// Sliding-window limit of `limit` requests per `windowMs` for each key
+function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map();
+
+  // Counts a request for `key`. Returns 0 when it is allowed, otherwise the
+  // milliseconds until it would be.
+  function take(key) {
+    const now = Date.now();
+    const recent = (hits.get(key) || []).filter(time => now - time < windowMs);
+    if (recent.length >= limit) {
+      hits.set(key, recent);
+      return recent[0] + windowMs - now;
+    }
+    recent.push(now);
+    hits.set(key, recent);
+    return 0;
+  }
+
+  function prune() {
+    const now = Date.now();
+    hits.forEach((times, key) => {
+      if (times.every(time => now - time >= windowMs)) hits.delete(key);
+    });
+  }
+
+  return { take, prune };
+}
+
+// Requests and tokens per user per day, persisted to a JSON file
+function createUsageTracker({ file }) {
+  let records = [];
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(records, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function load() {
+    if (fs.existsSync(file)) records = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function record(userId, { promptTokens = 0, completionTokens = 0 } = {}) {
+    const day = new Date().toISOString().slice(0, 10);
+    let entry = records.find(r => r.userId === userId && r.day === day);
+    if (!entry) {
+      entry = { day, userId, requests: 0, promptTokens: 0, completionTokens: 0 };
+      records.push(entry);
+    }
+    entry.requests += 1;
+    entry.promptTokens += promptTokens;
+    entry.completionTokens += completionTokens;
+    save();
+  }
+
+  // Daily records, newest first, optionally for one user only
+  const list = ({ userId } = {}) => records
+    .filter(r => userId === undefined || r.userId === userId)
+    .sort((a, b) => b.day.localeCompare(a.day));
+
+  // All-time totals per user
+  function totals() {
+    const byUser = new Map();
+    records.forEach(r => {
+      const total = byUser.get(r.userId) || { userId: r.userId, requests: 0, promptTokens: 0, completionTokens: 0 };
+      total.requests += r.requests;
+      total.promptTokens += r.promptTokens;
+      total.completionTokens += r.completionTokens;
+      byUser.set(r.userId, total);
+    });
+    return [...byUser.values()];
+  }
+
+  return { load, record, list, totals };
+}
+
+module.exports = {
+  DEFAULT_SYSTEM_PROMPT,
+  validateChatRequest,
+  buildContext,
+  contentLength,
+  createRateLimiter,
+  createUsageTracker
+};
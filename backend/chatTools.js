@@ -0,0 +1,158 @@
+const HISTORY_METRICS = ['cpu', 'memory', 'disk', 'network'];
+// Network is throughput in and out combined, not a share of link capacity
+const METRIC_UNITS = { cpu: 'percent', memory: 'percent', disk: 'percent', network: 'Mbps' };
+const MAX_HISTORY_MINUTES = 7 * 24 * 60;
+// Enough to show a trend without flooding the model's context
+const MAX_HISTORY_POINTS = 60;
+
+const round = value => Math.round(value * 100) / 100;
+
+// The parts of a metrics sample worth reading out; the full sample has
+// per-core and per-interface detail the model does not need
+const summariseSample = sample => ({
+  hostname: sample.hostname,
+  timestamp: sample.timestamp,
+  cpuPercent: sample.cpu,
+  memoryPercent: sample.memory,
+  diskPercent: sample.disk,
+  networkMbps: sample.network,
+  loadAverage: sample.loadAverage,
+  cpuCount: sample.cpuCount,
+  totalMemoryGb: sample.totalMemory,
+  freeMemoryGb: sample.freeMemory,
+  uptimeSeconds: sample.uptime,
+  disks: (sample.disks || []).map(disk => ({ mount: disk.mount, usedPercent: disk.usedPercent })),
+  networkTraffic: sample.networkTraffic && {
+    rxBytesPerSec: sample.networkTraffic.rxBytesPerSec,
+    txBytesPerSec: sample.networkTraffic.txBytesPerSec
+  }
+});
+
+function hostArgument(args, hostRegistry, defaultHost) {
+  if (args.host !== undefined && typeof args.host !== 'string') {
+    throw new Error('"host" must be a hostname');
+  }
+  const hostname = args.host || defaultHost;
+  const host = hostRegistry.get(hostname);
+  if (!host) {
+    throw new Error(`Unknown host "${hostname}". Known hosts: ${hostRegistry.list().map(h => h.hostname).join(', ')}`);
+  }
+  return host;
+}
+
+// Read-only tools the assistant may call to answer from live data. Each has
+// a JSON Schema for its arguments and the permission the asking user needs.
+function createChatTools({ hostRegistry, history, alertEngine, users, defaultHost }) {
+  const tools = [
+    {
+      name: 'get_current_metrics',
+      description: 'Latest CPU, memory and disk usage in percent, network throughput (Mbps in and out combined, plus bytes per second each way), load average and uptime of a host.',
+      permission: 'metrics:read',
+      parameters: {
+        type: 'object',
+        properties: {
+          host: { type: 'string', description: `Hostname; defaults to the dashboard server (${defaultHost})` }
+        }
+      },
+      run: args => summariseSample(hostArgument(args, hostRegistry, defaultHost).metrics)
+    },
+    {
+      name: 'get_metric_history',
+      description: 'Average, minimum, maximum and sampled values of one metric of a host over the last N minutes. CPU, memory and disk are percentages; network is throughput in Mbps.',
+      permission: 'metrics:read',
+      parameters: {
+        type: 'object',
+        properties: {
+          metric: { type: 'string', enum: HISTORY_METRICS },
+          minutes: { type: 'integer', minimum: 1, maximum: MAX_HISTORY_MINUTES, description: 'Window length, default 60' },
+          host: { type: 'string', description: `Hostname; defaults to the dashboard server (${defaultHost})` }
+        },
+        required: ['metric']
+      },
+      run: args => {
+        const host = hostArgument(args, hostRegistry, defaultHost);
+        const minutes = args.minutes === undefined ? 60 : Number(args.minutes);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_HISTORY_MINUTES) {
+          throw new Error(`"minutes" must be a whole number from 1 to ${MAX_HISTORY_MINUTES}`);
+        }
+        const to = Date.now();
+        const from = to - minutes * 60000;
+        const result = history.query({
+          host: host.hostname,
+          metric: args.metric,
+          from: String(from),
+          to: String(to),
+          step: String(Math.ceil((to - from) / MAX_HISTORY_POINTS / 1000))
+        });
+        const values = result.points.map(point => point.value);
+        return {
+          host: result.host,
+          metric: result.metric,
+          unit: METRIC_UNITS[result.metric],
+          from: result.from,
+          to: result.to,
+          stepSeconds: result.step,
+          samples: values.length,
+          average: values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+          min: values.length ? Math.min(...values) : null,
+          max: values.length ? Math.max(...values) : null,
+          points: result.points
+        };
+      }
+    },
+    {
+      name: 'get_active_alerts',
+      description: 'Alerts that are currently pending or firing, with their rule, host, value and severity.',
+      permission: 'metrics:read',
+      parameters: { type: 'object', properties: {} },
+      run: () => alertEngine.list().active
+    },
+    {
+      name: 'list_hosts',
+      description: 'Every monitored host with its status, source, last report time and headline usage.',
+      permission: 'metrics:read',
+      parameters: { type: 'object', properties: {} },
+      run: () => hostRegistry.list().map(host => ({
+        hostname: host.hostname,
+        status: host.status,
+        source: host.source,
+        platform: host.platform,
+        tags: host.tags,
+        lastSeen: host.lastSeen,
+        cpuPercent: host.metrics.cpu,
+        memoryPercent: host.metrics.memory,
+        diskPercent: host.metrics.disk
+      }))
+    },
+    {
+      name: 'get_user_counts',
+      description: 'Number of dashboard user accounts, in total and by role and status.',
+      permission: 'users:read',
+      parameters: { type: 'object', properties: {} },
+      run: () => users.counts()
+    }
+  ];
+
+  // The tools `allowed(permission)` lets the asking user call, as
+  // { name, description, parameters } for the model
+  const definitions = allowed => tools
+    .filter(tool => allowed(tool.permission))
+    .map(({ name, description, parameters }) => ({ name, description, parameters }));
+
+  // Runs a tool call; failures become { error } so the model can explain them
+  function run(allowed, name, args) {
+    const tool = tools.find(t => t.name === name);
+    if (!tool || !allowed(tool.permission)) {
+      return { error: `Unknown tool "${name}"` };
+    }
+    try {
+      return tool.run(args || {});
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  return { definitions, run };
+}
+
+module.exports = { createChatTools };
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+
+// Per-core cumulative jiffies from /proc/stat:
+// cpuN user nice system idle iowait irq softirq steal guest guest_nice
+function readProcStat() {
+  return fs.readFileSync('/proc/stat', 'utf8')
+    .split('\n')
+    .filter(line => /^cpu\d+ /.test(line))
+    .map(line => {
+      const [user, nice, system, idle, iowait, irq, softirq, steal] = line.trim().split(/\s+/).slice(1).map(Number);
+      return { user: user + nice, system: system + irq + softirq, idle, iowait: iowait || 0, steal: steal || 0 };
+    });
+}
+
+// os.cpus() works everywhere but has no iowait/steal breakdown
+function readOsCpus() {
+  return os.cpus().map(({ times }) => ({
+    user: times.user + times.nice,
+    system: times.sys + times.irq,
+    idle: times.idle,
+    iowait: 0,
+    steal: 0
+  }));
+}
+
+function readTimes() {
+  if (os.platform() === 'linux') {
+    try {
+      return readProcStat();
+    } catch (err) {
+      // Fall through to os.cpus()
+    }
+  }
+  return readOsCpus();
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+function utilisation(current, previous) {
+  const deltas = {};
+  Object.keys(current).forEach(key => {
+    deltas[key] = Math.max(current[key] - (previous ? previous[key] : 0), 0);
+  });
+  const total = Object.values(deltas).reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    return { usage: 0, user: 0, system: 0, iowait: 0, steal: 0 };
+  }
+
+  const percent = value => round((value / total) * 100);
+  // iowait is idle time spent waiting on disk, so it does not count as busy
+  return {
+    usage: percent(total - deltas.idle - deltas.iowait),
+    user: percent(deltas.user),
+    system: percent(deltas.system),
+    iowait: percent(deltas.iowait),
+    steal: percent(deltas.steal)
+  };
+}
+
+function sum(cores) {
+  return cores.reduce((acc, core) => {
+    Object.keys(core).forEach(key => { acc[key] = (acc[key] || 0) + core[key]; });
+    return acc;
+  }, {});
+}
+
+// Stateful sampler: each call reports utilisation over the interval since the
+// previous call (or since the collector was created, for the first call)
+function createCpuCollector() {
+  let previous = readTimes();
+
+  return function collectCpu() {
+    const current = readTimes();
+    // Cores can come and go (hotplug); only diff the ones seen last time
+    const last = current.length === previous.length ? previous : null;
+    const cores = current.map((core, i) => ({ core: i, ...utilisation(core, last && last[i]) }));
+    const overall = utilisation(sum(current), last && sum(last));
+    previous = current;
+
+    return { ...overall, cores };
+  };
+}
+
+module.exports = { createCpuCollector };
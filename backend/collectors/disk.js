@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+
+// Pseudo and virtual filesystems that never hold user data
+const IGNORED_FS_TYPES = new Set([
+  'proc', 'sysfs', 'devtmpfs', 'devpts', 'cgroup', 'cgroup2', 'pstore', 'bpf',
+  'tracefs', 'debugfs', 'securityfs', 'configfs', 'fusectl', 'mqueue', 'hugetlbfs',
+  'autofs', 'binfmt_misc', 'rpc_pipefs', 'nsfs', 'selinuxfs', 'efivarfs', 'squashfs'
+]);
+
+// /proc/mounts escapes whitespace in paths as octal sequences (e.g. \040)
+function unescapeMountPath(path) {
+  return path.replace(/\\([0-7]{3})/g, (_, code) => String.fromCharCode(parseInt(code, 8)));
+}
+
+function readMounts() {
+  if (os.platform() !== 'linux') {
+    return [{ device: 'root', mount: os.platform() === 'win32' ? 'C:\\' : '/', fsType: 'unknown' }];
+  }
+
+  const seen = new Set();
+  return fs.readFileSync('/proc/mounts', 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [device, mount, fsType] = line.split(' ');
+      return { device, mount: unescapeMountPath(mount), fsType };
+    })
+    .filter(entry => {
+      if (IGNORED_FS_TYPES.has(entry.fsType) || seen.has(entry.mount)) return false;
+      seen.add(entry.mount);
+      return true;
+    });
+}
+
+function statMount(entry) {
+  const stats = fs.statfsSync(entry.mount);
+  const total = stats.blocks * stats.bsize;
+  if (total === 0) return null;
+
+  const used = (stats.blocks - stats.bfree) * stats.bsize;
+  const free = stats.bavail * stats.bsize;
+  // Same formula as df: reserved blocks count as neither used nor available
+  const usedPercent = used + free > 0 ? Math.round((used / (used + free)) * 1000) / 10 : 0;
+  const inodesUsed = stats.files - stats.ffree;
+
+  return {
+    device: entry.device,
+    mount: entry.mount,
+    fsType: entry.fsType,
+    total,
+    used,
+    free,
+    usedPercent,
+    inodes: {
+      total: stats.files,
+      used: inodesUsed,
+      free: stats.ffree,
+      usedPercent: stats.files > 0 ? Math.round((inodesUsed / stats.files) * 1000) / 10 : 0
+    }
+  };
+}
+
+// Usage for every mounted filesystem, read via statfs (Node 18.15+)
+function collectDisks() {
+  if (typeof fs.statfsSync !== 'function') return [];
+
+  let mounts;
+  try {
+    mounts = readMounts();
+  } catch (err) {
+    return [];
+  }
+
+  const disks = [];
+  mounts.forEach(entry => {
+    try {
+      const disk = statMount(entry);
+      if (disk) disks.push(disk);
+    } catch (err) {
+      // Mount may be gone or unreadable (stale NFS, permissions); skip it
+    }
+  });
+  return disks;
+}
+
+module.exports = { collectDisks };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+
+// Column order of the counters after "iface:" in /proc/net/dev
+const RX_FIELDS = ['bytes', 'packets', 'errors', 'dropped'];
+const TX_OFFSET = 8;
+
+function readProcNetDev() {
+  const counters = {};
+  fs.readFileSync('/proc/net/dev', 'utf8')
+    .split('\n')
+    .slice(2)
+    .filter(line => line.includes(':'))
+    .forEach(line => {
+      const [name, rest] = line.split(':');
+      const values = rest.trim().split(/\s+/).map(Number);
+      const rx = {};
+      const tx = {};
+      RX_FIELDS.forEach((field, i) => {
+        rx[field] = values[i];
+        tx[field] = values[TX_OFFSET + i];
+      });
+      counters[name.trim()] = { rx, tx };
+    });
+  return counters;
+}
+
+function interfaceMetadata(name, addresses) {
+  const entries = addresses || [];
+  return {
+    mac: entries.length ? entries[0].mac : null,
+    internal: entries.length ? entries.every(a => a.internal) : name === 'lo',
+    addresses: entries.map(a => a.cidr || a.address)
+  };
+}
+
+// Counters can reset (interface restart) or wrap; treat that as no traffic
+function delta(current, previous) {
+  return current >= previous ? current - previous : 0;
+}
+
+function directionStats(current, previous, seconds) {
+  if (!previous || seconds <= 0) {
+    return { bytesPerSec: 0, packetsPerSec: 0, errors: 0, dropped: 0, totalBytes: current.bytes };
+  }
+  return {
+    bytesPerSec: Math.round(delta(current.bytes, previous.bytes) / seconds),
+    packetsPerSec: Math.round((delta(current.packets, previous.packets) / seconds) * 10) / 10,
+    errors: delta(current.errors, previous.errors),
+    dropped: delta(current.dropped, previous.dropped),
+    totalBytes: current.bytes
+  };
+}
+
+// Stateful sampler: each call reports rates since the previous call
+function createNetworkCollector() {
+  let previous = null;
+
+  return function collectNetwork() {
+    const now = Date.now();
+    const metadata = os.networkInterfaces();
+
+    let counters = null;
+    if (os.platform() === 'linux') {
+      try {
+        counters = readProcNetDev();
+      } catch (err) {
+        counters = null;
+      }
+    }
+
+    // Without kernel counters we can only describe the interfaces
+    if (!counters) {
+      return {
+        rxBytesPerSec: 0,
+        txBytesPerSec: 0,
+        interfaces: Object.keys(metadata).map(name => ({ name, ...interfaceMetadata(name, metadata[name]), rx: null, tx: null }))
+      };
+    }
+
+    const seconds = previous ? (now - previous.time) / 1000 : 0;
+    const interfaces = Object.keys(counters).map(name => {
+      const last = previous && previous.counters[name];
+      return {
+        name,
+        ...interfaceMetadata(name, metadata[name]),
+        rx: directionStats(counters[name].rx, last && last.rx, seconds),
+        tx: directionStats(counters[name].tx, last && last.tx, seconds)
+      };
+    });
+    previous = { time: now, counters };
+
+    // Loopback traffic never leaves the host, so keep it out of the totals
+    const external = interfaces.filter(i => !i.internal);
+    return {
+      rxBytesPerSec: external.reduce((sum, i) => sum + i.rx.bytesPerSec, 0),
+      txBytesPerSec: external.reduce((sum, i) => sum + i.tx.bytesPerSec, 0),
+      interfaces
+    };
+  };
+}
+
+module.exports = { createNetworkCollector };
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const FIELDS = ['title', 'pinned', 'messages'];
+const MESSAGE_FIELDS = ['id', 'from', 'text', 'timestamp', 'model', 'tools', 'fallback', 'stopped', 'error'];
+const SENDERS = ['user', 'bot'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_MESSAGES = 500;
+const MAX_TEXT_LENGTH = 100000;
+const MAX_TOOLS = 50;
+const MAX_TOOL_RESULT_LENGTH = 100000;
+// With the 2 MB request limit this keeps a user's history to a few hundred MB
+const MAX_CONVERSATIONS = 200;
+const STRING_FIELDS = ['id', 'timestamp', 'model', 'fallback', 'error'];
+const MAX_STRING_LENGTH = 1000;
+const TITLE_FROM_QUESTION_CHARS = 60;
+
+const isSet = value => value !== undefined && value !== null;
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// What is wrong with one saved message, or null when it is valid. Fields
+// outside MESSAGE_FIELDS (such as the UI's `streaming`) are dropped on save,
+// and null counts as absent.
+function messageError(message) {
+  if (!isObject(message)) return 'Message must be an object';
+  if (!SENDERS.includes(message.from)) return `Sender must be one of: ${SENDERS.join(', ')}`;
+  if (typeof message.text !== 'string' || message.text.length > MAX_TEXT_LENGTH) {
+    return `Text must be at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  const badString = STRING_FIELDS.find(field => isSet(message[field]) &&
+    (typeof message[field] !== 'string' || message[field].length > MAX_STRING_LENGTH));
+  if (badString) return `${badString} must be a string of at most ${MAX_STRING_LENGTH} characters`;
+  if (isSet(message.stopped) && typeof message.stopped !== 'boolean') return 'Stopped must be true or false';
+  if (isSet(message.tools)) {
+    if (!Array.isArray(message.tools) || message.tools.length > MAX_TOOLS) return `Tools must be a list of at most ${MAX_TOOLS} calls`;
+    const badTool = message.tools.some(tool => !isObject(tool) ||
+      typeof tool.id !== 'string' || typeof tool.name !== 'string' ||
+      (tool.arguments !== undefined && !isObject(tool.arguments)) ||
+      JSON.stringify(tool.result === undefined ? null : tool.result).length > MAX_TOOL_RESULT_LENGTH);
+    if (badTool) return `Each tool call needs an id, a name, object arguments and a result of at most ${MAX_TOOL_RESULT_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Returns an object of field -> message; empty when the conversation is valid.
+// With `partial`, missing fields are allowed (for updates).
+function validateConversation(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { _: 'Conversation must be a JSON object' };
+  }
+  const errors = {};
+  Object.keys(input).forEach(field => {
+    if (!FIELDS.includes(field)) errors[field] = 'Unknown field';
+  });
+
+  const { title, pinned, messages } = input;
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+    errors.title = `Title must be 1 to ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (pinned !== undefined && typeof pinned !== 'boolean') errors.pinned = 'Pinned must be true or false';
+  if (messages !== undefined || !partial) {
+    if (!Array.isArray(messages) || messages.length > MAX_MESSAGES) {
+      errors.messages = `Messages must be a list of at most ${MAX_MESSAGES} messages`;
+    } else {
+      messages.forEach((message, index) => {
+        const error = messageError(message);
+        if (error) errors[`messages.${index}`] = error;
+      });
+    }
+  }
+  return errors;
+}
+
+const pickMessage = message => {
+  const picked = {};
+  MESSAGE_FIELDS.forEach(field => {
+    if (isSet(message[field])) picked[field] = message[field];
+  });
+  return picked;
+};
+
+// Named after the first question until the user renames it
+function titleFor(messages) {
+  const question = messages.find(message => message.from === 'user' && message.text.trim());
+  if (!question) return 'New conversation';
+  const text = question.text.replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_FROM_QUESTION_CHARS ? `${text.slice(0, TITLE_FROM_QUESTION_CHARS - 1)}…` : text;
+}
+
+// What the sidebar lists; the messages are only sent when one is opened
+const summarise = ({ messages, userId, ...conversation }) => ({ ...conversation, messageCount: messages.length });
+
+// Applied in order; PRAGMA user_version records how many have run.
+// Never edit a released migration, append a new one instead.
+const MIGRATIONS = [
+  db => db.exec(`
+    CREATE TABLE conversations (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      pinned INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX conversations_user ON conversations (user_id, pinned, updated_at);
+    -- One row per message; fields other than the sender and text are kept as JSON
+    CREATE TABLE conversation_messages (
+      conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      sender TEXT NOT NULL,
+      text TEXT NOT NULL,
+      extra TEXT NOT NULL,
+      PRIMARY KEY (conversation_id, position)
+    );
+  `)
+];
+
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  MIGRATIONS.slice(version).forEach((up, index) => {
+    db.transaction(() => {
+      up(db);
+      db.pragma(`user_version = ${version + index + 1}`);
+    })();
+  });
+}
+
+const escapeLike = value => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+const toConversation = row => ({
+  id: row.id,
+  userId: row.user_id,
+  title: row.title,
+  pinned: Boolean(row.pinned),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+function toMessage(row) {
+  const stored = { ...JSON.parse(row.extra), from: row.sender, text: row.text };
+  return pickMessage(stored);
+}
+
+// Chat conversations persisted in SQLite, one row per message, so a save
+// only writes the conversation it changes. Every method takes the owner's
+// user id, so one user can never see or change another's.
+function createConversationStore({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const statements = {
+    get: db.prepare('SELECT * FROM conversations WHERE user_id = ? AND id = ?'),
+    messages: db.prepare('SELECT * FROM conversation_messages WHERE conversation_id = ? ORDER BY position'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM conversations WHERE user_id = ?'),
+    insert: db.prepare(`
+      INSERT INTO conversations (id, user_id, title, pinned, created_at, updated_at)
+      VALUES (@id, @userId, @title, @pinned, @now, @now)
+    `),
+    update: db.prepare('UPDATE conversations SET title = @title, pinned = @pinned, updated_at = @updatedAt WHERE id = @id'),
+    clearMessages: db.prepare('DELETE FROM conversation_messages WHERE conversation_id = ?'),
+    insertMessage: db.prepare(`
+      INSERT INTO conversation_messages (conversation_id, position, sender, text, extra)
+      VALUES (@conversationId, @position, @sender, @text, @extra)
+    `),
+    remove: db.prepare('DELETE FROM conversations WHERE user_id = ? AND id = ?'),
+    removeForUser: db.prepare('DELETE FROM conversations WHERE user_id = ?')
+  };
+
+  function writeMessages(conversationId, messages) {
+    statements.clearMessages.run(conversationId);
+    messages.forEach((message, position) => {
+      const { from, text, ...extra } = pickMessage(message);
+      statements.insertMessage.run({ conversationId, position, sender: from, text, extra: JSON.stringify(extra) });
+    });
+  }
+
+  // Pinned first, then the most recently active. `q` matches the title or
+  // the text of any message.
+  function list(userId, { q = '' } = {}) {
+    const needle = q.trim();
+    const rows = db.prepare(`
+      SELECT c.*, (SELECT COUNT(*) FROM conversation_messages m WHERE m.conversation_id = c.id) AS message_count
+      FROM conversations c
+      WHERE c.user_id = @userId ${needle ? `AND (c.title LIKE @q ESCAPE '\\' OR EXISTS (
+        SELECT 1 FROM conversation_messages m WHERE m.conversation_id = c.id AND m.text LIKE @q ESCAPE '\\'
+      ))` : ''}
+      ORDER BY c.pinned DESC, c.updated_at DESC
+    `).all({ userId, q: `%${escapeLike(needle)}%` });
+    return rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      pinned: Boolean(row.pinned),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      messageCount: row.message_count
+    }));
+  }
+
+  function get(userId, id) {
+    const row = statements.get.get(userId, id);
+    if (!row) return null;
+    return { ...toConversation(row), messages: statements.messages.all(id).map(toMessage) };
+  }
+
+  const count = userId => statements.count.get(userId).count;
+
+  const create = db.transaction((userId, input) => {
+    const id = crypto.randomUUID();
+    const messages = input.messages.map(pickMessage);
+    statements.insert.run({
+      id,
+      userId,
+      title: input.title ? input.title.trim() : titleFor(messages),
+      pinned: input.pinned ? 1 : 0,
+      now: new Date().toISOString()
+    });
+    writeMessages(id, messages);
+    return get(userId, id);
+  });
+
+  const update = db.transaction((userId, id, input) => {
+    const conversation = get(userId, id);
+    if (!conversation) return null;
+    // Only new messages count as activity, so renaming or pinning keeps the order
+    statements.update.run({
+      id,
+      title: input.title !== undefined ? input.title.trim() : conversation.title,
+      pinned: (input.pinned !== undefined ? input.pinned : conversation.pinned) ? 1 : 0,
+      updatedAt: input.messages !== undefined ? new Date().toISOString() : conversation.updatedAt
+    });
+    if (input.messages !== undefined) writeMessages(id, input.messages);
+    return get(userId, id);
+  });
+
+  const remove = (userId, id) => statements.remove.run(userId, id).changes > 0;
+
+  // When an account is deleted its conversations go with it
+  const removeForUser = userId => statements.removeForUser.run(userId).changes;
+
+  const close = () => db.close();
+
+  return { list, get, count, create, update, remove, removeForUser, close };
+}
+
+// A fence longer than any run of backticks in `text`, so tool results that
+// contain Markdown cannot close it early
+const fenceFor = text => '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(run => run.length + 1)));
+
+const oneLine = value => String(value).replace(/\s+/g, ' ').trim();
+
+// A readable transcript for incident write-ups, with each tool lookup and
+// its result under the answer that used it. Stored conversations predate
+// some checks, so every field is treated as possibly missing.
+function toMarkdown(conversation) {
+  const lines = [
+    `# ${oneLine(conversation.title || 'Conversation')}`,
+    '',
+    `Started ${conversation.createdAt}, last message ${conversation.updatedAt}.`,
+    ''
+  ];
+  (conversation.messages || []).filter(isObject).forEach(message => {
+    const who = message.from === 'user' ? 'You' : `Assistant${message.model ? ` (${oneLine(message.model)})` : ''}`;
+    lines.push(`## ${who}${message.timestamp ? ` — ${oneLine(message.timestamp)}` : ''}`, '');
+    (Array.isArray(message.tools) ? message.tools : []).filter(isObject).forEach(tool => {
+      const result = JSON.stringify(tool.result === undefined ? null : tool.result, null, 2);
+      const fence = fenceFor(result);
+      lines.push(`> Tool \`${oneLine(tool.name || 'unknown')}\` ${JSON.stringify(tool.arguments || {})}`, '');
+      lines.push(`${fence}json`, result, fence, '');
+    });
+    if (message.text) lines.push(String(message.text), '');
+    if (message.fallback) lines.push(`_Answered by a fallback model: ${oneLine(message.fallback)}_`, '');
+    if (message.stopped) lines.push('_Generation stopped_', '');
+    if (message.error) lines.push(`_Error: ${oneLine(message.error)}_`, '');
+  });
+  return lines.join('\n');
+}
+
+module.exports = { validateConversation, createConversationStore, toMarkdown, summarise, MAX_CONVERSATIONS };
@@ -0,0 +1,34 @@
+// Every API error response has the same shape:
+//   { error: <human-readable message>, code: <machine-readable code>, fields?: { field: message } }
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'GATEWAY_TIMEOUT'
+};
+
+function sendError(res, status, message, { code = STATUS_CODES[status], fields } = {}) {
+  return res.status(status).json(fields ? { error: message, code, fields } : { error: message, code });
+}
+
+// Field errors from a validateX() helper; empty means valid
+const sendValidationError = (res, message, fields) => sendError(res, 400, message, { code: 'VALIDATION_FAILED', fields });
+
+// Last in the middleware chain: malformed JSON bodies and anything a route throws
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  console.error(err);
+  sendError(res, 500, 'Internal server error');
+}
+
+module.exports = { sendError, sendValidationError, errorHandler };
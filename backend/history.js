@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+const METRICS = ['cpu', 'memory', 'disk', 'network'];
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Auto-chosen steps never return more points than this
+const MAX_POINTS = 500;
+
+// Fixed-capacity buffer that overwrites its oldest entry once full
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(this.items[(this.start + i) % this.capacity]);
+    }
+    return result;
+  }
+}
+
+function createTier(name, resolution, retention) {
+  return { name, resolution, retention, buffer: new RingBuffer(Math.ceil(retention / resolution) + 1), bucket: null };
+}
+
+function pickValues(sample) {
+  const values = {};
+  METRICS.forEach(metric => {
+    if (typeof sample[metric] === 'number') values[metric] = sample[metric];
+  });
+  return values;
+}
+
+// Averages every value in a rollup bucket into a single point
+function closeBucket(bucket) {
+  const values = {};
+  Object.keys(bucket.sums).forEach(metric => {
+    values[metric] = Math.round((bucket.sums[metric] / bucket.counts[metric]) * 100) / 100;
+  });
+  return { t: bucket.start, values };
+}
+
+function addToBucket(tier, point) {
+  const start = Math.floor(point.t / tier.resolution) * tier.resolution;
+  if (tier.bucket && tier.bucket.start !== start) {
+    tier.buffer.push(closeBucket(tier.bucket));
+    tier.bucket = null;
+  }
+  if (!tier.bucket) {
+    tier.bucket = { start, sums: {}, counts: {} };
+  }
+  Object.keys(point.values).forEach(metric => {
+    tier.bucket.sums[metric] = (tier.bucket.sums[metric] || 0) + point.values[metric];
+    tier.bucket.counts[metric] = (tier.bucket.counts[metric] || 0) + 1;
+  });
+}
+
+function parseTime(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// In-process metrics history: raw samples for an hour, then 1-minute and
+// 5-minute averages for a day and a week, kept per host and persisted to a
+// JSON file. `defaultHost` is used when a query does not name a host.
+function createHistoryStore({ sampleIntervalMs, file, defaultHost }) {
+  const series = new Map();
+
+  const createTiers = () => [
+    createTier('raw', sampleIntervalMs, HOUR),
+    createTier('1m', MINUTE, DAY),
+    createTier('5m', 5 * MINUTE, 7 * DAY)
+  ];
+
+  function tiersFor(host) {
+    if (!series.has(host)) series.set(host, createTiers());
+    return series.get(host);
+  }
+
+  function record(sample) {
+    const tiers = tiersFor(sample.hostname || defaultHost);
+    const point = { t: Date.parse(sample.timestamp) || Date.now(), values: pickValues(sample) };
+    tiers[0].buffer.push(point);
+    tiers.slice(1).forEach(tier => addToBucket(tier, point));
+  }
+
+  // Finest tier that still retains data back to `from`
+  function tierFor(tiers, from, now) {
+    return tiers.find(tier => now - tier.retention <= from) || tiers[tiers.length - 1];
+  }
+
+  function query({ host = defaultHost, metric, from, to, step }) {
+    if (!METRICS.includes(metric)) {
+      throw new Error(`Unknown metric "${metric}". Expected one of: ${METRICS.join(', ')}`);
+    }
+    const now = Date.now();
+    const end = parseTime(to, now);
+    const begin = parseTime(from, (end || now) - HOUR);
+    if (begin === null || end === null) {
+      throw new Error('"from" and "to" must be epoch milliseconds or ISO 8601 timestamps');
+    }
+    if (begin >= end) {
+      throw new Error('"from" must be earlier than "to"');
+    }
+
+    // Unknown hosts share the same (empty) tier layout
+    const tier = tierFor(series.get(host) || createTiers(), begin, now);
+    let stepMs = tier.resolution;
+    if (step !== undefined && step !== '') {
+      const seconds = Number(step);
+      if (!Number.isFinite(seconds) || seconds <= 0) {
+        throw new Error('"step" must be a positive number of seconds');
+      }
+      stepMs = Math.max(seconds * 1000, tier.resolution);
+    }
+    stepMs = Math.max(stepMs, Math.ceil((end - begin) / MAX_POINTS));
+
+    const points = tier.buffer.toArray();
+    if (tier.bucket) points.push(closeBucket(tier.bucket));
+
+    // Re-bucket the tier's points onto the requested step
+    const buckets = new Map();
+    points.forEach(point => {
+      if (point.t < begin || point.t > end || point.values[metric] === undefined) return;
+      const start = begin + Math.floor((point.t - begin) / stepMs) * stepMs;
+      const bucket = buckets.get(start) || { sum: 0, count: 0 };
+      bucket.sum += point.values[metric];
+      bucket.count++;
+      buckets.set(start, bucket);
+    });
+
+    return {
+      host,
+      metric,
+      from: new Date(begin).toISOString(),
+      to: new Date(end).toISOString(),
+      step: stepMs / 1000,
+      resolution: tier.name,
+      points: Array.from(buckets.entries()).map(([t, bucket]) => ({
+        timestamp: new Date(t).toISOString(),
+        value: Math.round((bucket.sum / bucket.count) * 100) / 100
+      }))
+    };
+  }
+
+  function save() {
+    const hosts = {};
+    series.forEach((tiers, host) => {
+      hosts[host] = tiers.map(tier => ({ name: tier.name, points: tier.buffer.toArray(), bucket: tier.bucket }));
+    });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write then rename so a crash mid-write never leaves a truncated file
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ savedAt: Date.now(), hosts }));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const now = Date.now();
+    // Files written before history was kept per host hold a single `tiers` list
+    const hosts = data.hosts || { [defaultHost]: data.tiers || [] };
+    Object.keys(hosts).forEach(host => {
+      const tiers = tiersFor(host);
+      hosts[host].forEach(saved => {
+        const tier = tiers.find(t => t.name === saved.name);
+        if (!tier) return;
+        saved.points
+          .filter(point => now - point.t <= tier.retention)
+          .forEach(point => tier.buffer.push(point));
+        tier.bucket = saved.bucket || null;
+      });
+    });
+  }
+
+  const hosts = () => Array.from(series.keys());
+
+  return { record, query, save, load, hosts };
+}
+
+module.exports = { createHistoryStore, METRICS };
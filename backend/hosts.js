@@ -0,0 +1,90 @@
+const PERCENT_FIELDS = ['cpu', 'memory', 'disk'];
+const NUMBER_FIELDS = ['uptime', 'totalMemory', 'freeMemory', 'cpuCount'];
+const DETAIL_FIELDS = ['cpuDetail', 'networkTraffic'];
+const MAX_HOSTNAME_LENGTH = 253;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_DISKS = 64;
+// Per-core CPU figures grow with the machine; this leaves room for hundreds
+const MAX_SAMPLE_BYTES = 256 * 1024;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Checks what a push agent sends before it reaches the registry, history and
+// alert rules. Returns an object of field -> message; empty when valid.
+function validateAgentReport(input) {
+  if (!isObject(input) || !isObject(input.metrics)) {
+    return { metrics: 'Body must contain a metrics sample' };
+  }
+  const { metrics, tags = [] } = input;
+  const errors = {};
+  if (typeof metrics.hostname !== 'string' || !metrics.hostname || metrics.hostname.length > MAX_HOSTNAME_LENGTH) {
+    errors.hostname = `Hostname must be 1 to ${MAX_HOSTNAME_LENGTH} characters`;
+  }
+  PERCENT_FIELDS.forEach(field => {
+    if (!isNumber(metrics[field]) || metrics[field] < 0 || metrics[field] > 100) {
+      errors[field] = `${field} must be a percentage between 0 and 100`;
+    }
+  });
+  if (!isNumber(metrics.network) || metrics.network < 0) errors.network = 'network must be a number of at least 0';
+  NUMBER_FIELDS.forEach(field => {
+    if (metrics[field] !== undefined && !(isNumber(metrics[field]) && metrics[field] >= 0)) {
+      errors[field] = `${field} must be a number of at least 0`;
+    }
+  });
+  DETAIL_FIELDS.forEach(field => {
+    if (metrics[field] !== undefined && !isObject(metrics[field])) errors[field] = `${field} must be an object`;
+  });
+  if (metrics.disks !== undefined && !(Array.isArray(metrics.disks) && metrics.disks.length <= MAX_DISKS && metrics.disks.every(isObject))) {
+    errors.disks = `Disks must be a list of at most ${MAX_DISKS} entries`;
+  }
+  if (metrics.loadAverage !== undefined && !(Array.isArray(metrics.loadAverage) && metrics.loadAverage.length <= 3 && metrics.loadAverage.every(isNumber))) {
+    errors.loadAverage = 'Load average must be a list of up to 3 numbers';
+  }
+  ['platform', 'timestamp'].forEach(field => {
+    if (metrics[field] !== undefined && !(typeof metrics[field] === 'string' && metrics[field].length <= 64)) {
+      errors[field] = `${field} must be a string of at most 64 characters`;
+    }
+  });
+  if (JSON.stringify(metrics).length > MAX_SAMPLE_BYTES) {
+    errors.metrics = `Metrics sample must be at most ${MAX_SAMPLE_BYTES / 1024} KB`;
+  }
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS ||
+    tags.some(tag => typeof tag !== 'string' || !tag || tag.length > MAX_TAG_LENGTH)) {
+    errors.tags = `Tags must be a list of at most ${MAX_TAGS} strings of 1 to ${MAX_TAG_LENGTH} characters`;
+  }
+  return errors;
+}
+
+// Every host that has reported metrics, either this server itself or a push
+// agent. A host goes offline once it misses reports for `offlineAfterMs`.
+function createHostRegistry({ offlineAfterMs }) {
+  const hosts = new Map();
+
+  function update(sample, { source, tags = [] }) {
+    const existing = hosts.get(sample.hostname);
+    hosts.set(sample.hostname, {
+      hostname: sample.hostname,
+      platform: sample.platform,
+      source,
+      tags,
+      firstSeen: existing ? existing.firstSeen : new Date().toISOString(),
+      lastSeen: new Date().toISOString(),
+      metrics: sample
+    });
+  }
+
+  function withStatus(host) {
+    const online = Date.now() - Date.parse(host.lastSeen) <= offlineAfterMs;
+    return { ...host, status: online ? 'online' : 'offline' };
+  }
+
+  const list = () => Array.from(hosts.values()).map(withStatus);
+  const get = hostname => (hosts.has(hostname) ? withStatus(hosts.get(hostname)) : null);
+  const remove = hostname => hosts.delete(hostname);
+
+  return { update, list, get, remove };
+}
+
+module.exports = { createHostRegistry, validateAgentReport };
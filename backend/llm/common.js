@@ -0,0 +1,61 @@
+// About four characters per token, the same rough count as the frontend
+const estimateTokens = text => Math.ceil(text.length / 4);
+
+// For providers that do not report usage, and for answers cut short
+const estimateUsage = (messages, text) => ({
+  promptTokens: estimateTokens(messages.map(message => message.content).join('')),
+  completionTokens: estimateTokens(text),
+  estimated: true
+});
+
+// fetch() with a readable error when the provider cannot be reached or
+// answers with an error status
+async function requestModel(url, { headers = {}, body, signal }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new Error(`Could not reach the model endpoint (${(err.cause && err.cause.code) || err.message})`);
+  }
+  if (!response.ok) {
+    const detail = (await response.text()).slice(0, 500);
+    throw new Error(`Model endpoint answered ${response.status}: ${detail}`);
+  }
+  return response;
+}
+
+// Calls `onLine` with every line of a streamed body, however it happens to
+// be split into chunks
+async function readLines(body, onLine) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? '' : lines.pop();
+    lines.forEach(onLine);
+    if (done) return;
+  }
+}
+
+// Tool-call arguments as an object, however the model encoded them; the tool
+// reports anything missing, so malformed JSON counts as no arguments
+function parseToolArguments(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    const parsed = JSON.parse(value || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+module.exports = { estimateTokens, estimateUsage, requestModel, readLines, parseToolArguments };
@@ -0,0 +1,146 @@
+const { createOpenAiProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { createMockProvider } = require('./mock');
+const { estimateUsage } = require('./common');
+
+const TYPES = { openai: createOpenAiProvider, ollama: createOllamaProvider, mock: createMockProvider };
+
+// Model turns allowed per answer; the last one is offered no tools, so the
+// model has to answer with what it has looked up by then. Some models call
+// tools anyway, so those calls are ignored rather than run.
+const MAX_TOOL_ROUNDS = 5;
+
+// Asks `provider` for an answer, running the tools it calls and handing it
+// their results until it answers in text. Messages use a provider-neutral
+// shape for tool traffic: assistant turns carry `toolCalls` ([{ id, name,
+// arguments }]) and results are { role: 'tool', toolCallId, name, content }.
+async function converse(provider, { model, messages, tools, runTool, signal, onToken, onToolCall, onToolResult }) {
+  const conversation = [...messages];
+  const usage = { promptTokens: 0, completionTokens: 0, estimated: false };
+  let text = '';
+  for (let round = 1; round <= MAX_TOOL_ROUNDS; round += 1) {
+    const result = await provider.stream({
+      model,
+      messages: conversation,
+      tools: tools.length > 0 && round < MAX_TOOL_ROUNDS ? tools : undefined,
+      signal,
+      onToken
+    });
+    usage.promptTokens += result.usage.promptTokens;
+    usage.completionTokens += result.usage.completionTokens;
+    usage.estimated = usage.estimated || result.usage.estimated;
+    text += result.text;
+    if (!result.toolCalls || result.toolCalls.length === 0) {
+      return { text, usage };
+    }
+    if (round === MAX_TOOL_ROUNDS) {
+      if (text) return { text, usage };
+      throw new Error(`The model kept calling tools without answering after ${MAX_TOOL_ROUNDS} rounds`);
+    }
+
+    conversation.push({ role: 'assistant', content: result.text, toolCalls: result.toolCalls });
+    for (const call of result.toolCalls) {
+      onToolCall(call);
+      const output = await runTool(call.name, call.arguments);
+      onToolResult({ id: call.id, name: call.name, result: output });
+      conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(output) });
+    }
+  }
+}
+
+// The assistant's model providers. Each config is { id, type, label, models,
+// temperature?, maxTokens? } plus the options of its type (url, apiKey...);
+// the first model listed is the provider's default. Every adapter exposes
+// stream({ model, messages, tools?, signal, onToken }) -> { text, usage,
+// toolCalls? }, with tools given as { name, description, parameters }.
+function createLlm({ providers: configs, primary, fallback }) {
+  if (configs.length === 0) {
+    throw new Error('No LLM providers are configured');
+  }
+  const providers = configs.map(config => {
+    if (!TYPES[config.type]) {
+      throw new Error(`Unknown LLM provider type "${config.type}". Expected one of: ${Object.keys(TYPES).join(', ')}`);
+    }
+    if (!config.models || config.models.length === 0) {
+      throw new Error(`LLM provider "${config.id}" has no models`);
+    }
+    return { ...config, ...TYPES[config.type](config) };
+  });
+
+  const find = id => providers.find(provider => provider.id === id);
+  const named = id => {
+    if (!find(id)) {
+      throw new Error(`Unknown LLM provider "${id}". Configured: ${providers.map(provider => provider.id).join(', ')}`);
+    }
+    return find(id);
+  };
+  const primaryProvider = primary ? named(primary) : providers[0];
+  const fallbackProvider = fallback ? named(fallback) : null;
+
+  // What the model picker may offer; endpoints and keys stay on the server
+  const list = () => ({
+    providers: providers.map(({ id, type, label, models, temperature, maxTokens }) => ({ id, type, label, models, temperature, maxTokens })),
+    defaultProvider: primaryProvider.id,
+    defaultModel: primaryProvider.models[0],
+    fallbackProvider: fallbackProvider && fallbackProvider.id
+  });
+
+  // Returns an object of field -> message; empty when the choice is valid
+  function validateChoice({ provider, model }) {
+    const errors = {};
+    if (provider !== undefined && !find(provider)) {
+      errors.provider = `Provider must be one of: ${providers.map(p => p.id).join(', ')}`;
+    } else if (model !== undefined && !(find(provider) || primaryProvider).models.includes(model)) {
+      errors.model = `Model must be one of: ${(find(provider) || primaryProvider).models.join(', ')}`;
+    }
+    return errors;
+  }
+
+  // Streams an answer from the chosen provider (default: the primary),
+  // letting it call `tools` through `runTool(name, args)`. If it fails
+  // before producing any text or tool call, the fallback provider is tried
+  // once with its default model, after `onFallback(error, { provider, model })`.
+  async function stream({
+    provider: providerId,
+    model,
+    messages,
+    tools = [],
+    runTool,
+    signal,
+    onToken,
+    onToolCall = () => {},
+    onToolResult = () => {},
+    onFallback = () => {}
+  }) {
+    const chosen = find(providerId) || primaryProvider;
+    const chosenModel = model || chosen.models[0];
+    let produced = false;
+    const options = { messages, tools, runTool, signal, onToolResult };
+    try {
+      const result = await converse(chosen, {
+        ...options,
+        model: chosenModel,
+        onToken: token => {
+          produced = true;
+          onToken(token);
+        },
+        onToolCall: call => {
+          produced = true;
+          onToolCall(call);
+        }
+      });
+      return { ...result, provider: chosen.id, model: chosenModel };
+    } catch (err) {
+      const canFall = fallbackProvider && fallbackProvider !== chosen && !produced && !(signal && signal.aborted);
+      if (!canFall) throw err;
+      const fallbackModel = fallbackProvider.models[0];
+      onFallback(err, { provider: fallbackProvider.id, model: fallbackModel });
+      const result = await converse(fallbackProvider, { ...options, model: fallbackModel, onToken, onToolCall });
+      return { ...result, provider: fallbackProvider.id, model: fallbackModel };
+    }
+  }
+
+  return { list, validateChoice, stream };
+}
+
+module.exports = { createLlm, converse, estimateUsage, MAX_TOOL_ROUNDS };
@@ -0,0 +1,78 @@
+const { estimateUsage } = require('./common');
+
+// Which tool a question seems to need, by keyword, so the mocks exercise
+// tool calling; earlier patterns win
+const TOOL_KEYWORDS = [
+  [/\balerts?\b/i, 'get_active_alerts', {}],
+  [/\b(hosts?|servers|fleet)\b/i, 'list_hosts', {}],
+  [/\b(users?|accounts?)\b/i, 'get_user_counts', {}],
+  [/\b(history|trend|over time|last hour)\b/i, 'get_metric_history', { metric: 'cpu', minutes: 60 }],
+  [/\b(metrics?|cpu|memory|disk|load|uptime)\b/i, 'get_current_metrics', {}]
+];
+
+// { name, arguments } of the tool to call when the last message is a
+// question matching one of `toolNames`, otherwise null
+function mockToolCall(messages, toolNames) {
+  const last = messages[messages.length - 1];
+  if (!last || last.role !== 'user') return null;
+  const match = TOOL_KEYWORDS.find(([pattern, name]) => toolNames.includes(name) && pattern.test(last.content));
+  return match ? { name: match[1], arguments: match[2] } : null;
+}
+
+// When the last messages are tool results, an answer that quotes them
+function mockToolAnswer(messages) {
+  const results = [];
+  for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i -= 1) {
+    results.unshift(messages[i].content.slice(0, 300));
+  }
+  return results.length > 0 ? `Here is what the tools returned: ${results.join(' ')}` : null;
+}
+
+// The reply both mocks give: the quoted tool results, or a fixed sentence
+// about the last question
+function mockAnswer(model, messages) {
+  const question = [...messages].reverse().find(message => message.role === 'user');
+  return mockToolAnswer(messages) ||
+    `This is a mock answer from ${model} to "${question ? question.content : ''}" ` +
+    `based on ${messages.length} message${messages.length === 1 ? '' : 's'} of context.`;
+}
+
+const abortError = () => Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+
+// Answers without any model: the same question always gets the same reply,
+// streamed word by word, for tests and offline demos. Questions about
+// metrics, alerts, hosts or users call the matching tool first.
+function createMockProvider({ delayMs = 30 } = {}) {
+  const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  async function stream({ model, messages, tools = [], signal, onToken }) {
+    const call = mockToolCall(messages, tools.map(tool => tool.name));
+    if (call) {
+      await sleep(delayMs, signal);
+      const toolCalls = [{ id: `call_${messages.length}`, ...call }];
+      return { text: '', usage: { ...estimateUsage(messages, JSON.stringify(call)), estimated: false }, toolCalls };
+    }
+
+    const text = mockAnswer(model, messages);
+    for (const word of text.split(/(?<= )/)) {
+      if (signal && signal.aborted) throw abortError();
+      onToken(word);
+      await sleep(delayMs, signal);
+    }
+    return { text, usage: { ...estimateUsage(messages, text), estimated: false } };
+  }
+
+  return { stream };
+}
+
+module.exports = { createMockProvider, mockToolCall, mockAnswer };
@@ -0,0 +1,68 @@
+const { requestModel, readLines, parseToolArguments } = require('./common');
+
+// Tool traffic in Ollama's shape, which has no call ids and takes the
+// arguments as an object
+function toWire(message) {
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+    };
+  }
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_name: message.name, content: message.content };
+  }
+  return { role: message.role, content: message.content };
+}
+
+// Ollama's native chat API, which streams one JSON object per line
+function createOllamaProvider({ url, temperature, maxTokens }) {
+  async function stream({ model, messages, tools, signal, onToken }) {
+    const options = {};
+    if (temperature !== undefined) options.temperature = temperature;
+    if (maxTokens !== undefined) options.num_predict = maxTokens;
+    const response = await requestModel(`${url.replace(/\/$/, '')}/api/chat`, {
+      body: {
+        model,
+        messages: messages.map(toWire),
+        ...(tools ? { tools: tools.map(tool => ({ type: 'function', function: tool })) } : {}),
+        stream: true,
+        options
+      },
+      signal
+    });
+
+    let text = '';
+    const toolCalls = [];
+    const usage = { promptTokens: 0, completionTokens: 0, estimated: false };
+    await readLines(response.body, line => {
+      if (!line.trim()) return;
+      const event = JSON.parse(line);
+      if (event.error) {
+        throw new Error(event.error);
+      }
+      const token = event.message && event.message.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+      ((event.message && event.message.tool_calls) || []).forEach(call => {
+        toolCalls.push({
+          id: `call_${messages.length}_${toolCalls.length}`,
+          name: call.function.name,
+          arguments: parseToolArguments(call.function.arguments)
+        });
+      });
+      if (event.done) {
+        usage.promptTokens = event.prompt_eval_count || 0;
+        usage.completionTokens = event.eval_count || 0;
+      }
+    });
+    return { text, usage, toolCalls };
+  }
+
+  return { stream };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,80 @@
+const { estimateUsage, requestModel, readLines, parseToolArguments } = require('./common');
+
+// Tool traffic in the protocol's own shape
+function toWire(message) {
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+      }))
+    };
+  }
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+  }
+  return { role: message.role, content: message.content };
+}
+
+// Any endpoint speaking the OpenAI chat-completions protocol: OpenAI, the
+// Hugging Face router, vLLM, LM Studio, llama.cpp's server...
+function createOpenAiProvider({ url, apiKey, temperature, maxTokens }) {
+  async function stream({ model, messages, tools, signal, onToken }) {
+    const response = await requestModel(url, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: {
+        model,
+        messages: messages.map(toWire),
+        ...(tools ? { tools: tools.map(tool => ({ type: 'function', function: tool })) } : {}),
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens !== undefined ? { max_tokens: maxTokens } : {})
+      },
+      signal
+    });
+
+    let text = '';
+    let reported = null;
+    // Tool calls arrive in pieces, keyed by their index
+    const calls = [];
+    await readLines(response.body, line => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      const event = JSON.parse(data);
+      if (event.error) {
+        throw new Error(event.error.message || JSON.stringify(event.error));
+      }
+      if (event.usage) reported = event.usage;
+      const delta = (event.choices && event.choices[0] && event.choices[0].delta) || {};
+      if (delta.content) {
+        text += delta.content;
+        onToken(delta.content);
+      }
+      (delta.tool_calls || []).forEach(piece => {
+        const call = calls[piece.index] || (calls[piece.index] = { id: null, name: '', arguments: '' });
+        if (piece.id) call.id = piece.id;
+        if (piece.function && piece.function.name) call.name += piece.function.name;
+        if (piece.function && piece.function.arguments) call.arguments += piece.function.arguments;
+      });
+    });
+
+    const usage = reported
+      ? { promptTokens: reported.prompt_tokens || 0, completionTokens: reported.completion_tokens || 0, estimated: false }
+      : estimateUsage(messages, text);
+    const toolCalls = calls.filter(Boolean).map((call, i) => ({
+      id: call.id || `call_${i}`,
+      name: call.name,
+      arguments: parseToolArguments(call.arguments)
+    }));
+    return { text, usage, toolCalls };
+  }
+
+  return { stream };
+}
+
+module.exports = { createOpenAiProvider };
@@ -1,9 +1,50 @@
-module.exports = function getMetrics() {
-  return {
-    cpu: Math.floor(Math.random() * 50) + 10,
-    memory: Math.floor(Math.random() * 60) + 20,
-    disk: Math.floor(Math.random() * 80) + 10,
-    network: Math.floor(Math.random() * 100) + 20,
-    timestamp: new Date().toISOString()
+const os = require('os');
+const { createCpuCollector } = require('./collectors/cpu');
+const { collectDisks } = require('./collectors/disk');
+const { createNetworkCollector } = require('./collectors/network');
+
+// Returns a getRealMetrics() function. The CPU and network collectors are
+// stateful, so every process sampling metrics needs its own instance.
+function createMetricsCollector() {
+  const collectCpu = createCpuCollector();
+  const collectNetwork = createNetworkCollector();
+
+  // Real system metrics function
+  return function getRealMetrics() {
+    const cpus = os.cpus();
+    const totalMem = os.totalmem();
+    const freeMem = os.freemem();
+    const usedMem = totalMem - freeMem;
+  
+    // CPU utilisation over the interval since the previous sample
+    const cpuUsage = collectCpu();
+
+    // Per-mount disk usage; the headline figure is the root filesystem
+    const disks = collectDisks();
+    const rootDisk = disks.find(d => d.mount === '/') || disks[0];
+
+    // Network throughput since the previous sample, in and out
+    const networkTraffic = collectNetwork();
+    const networkMbps = (networkTraffic.rxBytesPerSec + networkTraffic.txBytesPerSec) * 8 / 1e6;
+
+    return {
+      cpu: Math.round(cpuUsage.usage),
+      cpuDetail: cpuUsage,
+      memory: Math.round((usedMem / totalMem) * 100),
+      disk: rootDisk ? Math.round(rootDisk.usedPercent) : 0,
+      disks,
+      network: Math.round(networkMbps * 100) / 100,
+      networkTraffic,
+      uptime: Math.round(os.uptime()),
+      platform: os.platform(),
+      hostname: os.hostname(),
+      timestamp: new Date().toISOString(),
+      totalMemory: Math.round(totalMem / (1024 * 1024 * 1024) * 100) / 100, // GB
+      freeMemory: Math.round(freeMem / (1024 * 1024 * 1024) * 100) / 100, // GB
+      cpuCount: cpus.length,
+      loadAverage: os.loadavg()
+    };
   };
-};
\ No newline at end of file
+}
+
+module.exports = { createMetricsCollector };
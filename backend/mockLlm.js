@@ -0,0 +1,87 @@
+// Stand-in for an OpenAI-compatible chat-completions endpoint, for trying the
+// assistant without a model or an API key:
+//
+//   node mockLlm.js
+//   LLM_API_URL=http://localhost:4100/v1/chat/completions node server.js
+//
+// It streams back a fixed answer that quotes the last user message, word by
+// word. When tools are offered, questions about metrics, alerts, hosts or
+// users get a tool call instead, and tool results are quoted back.
+//
+// Optional: MOCK_LLM_PORT (default 4100), MOCK_LLM_DELAY_MS between words
+// (default 50), and MOCK_LLM_FAIL_AFTER to end the stream with an error
+// after that many words.
+const http = require('http');
+const { mockToolCall, mockAnswer } = require('./llm/mock');
+const { estimateUsage } = require('./llm/common');
+
+const PORT = parseInt(process.env.MOCK_LLM_PORT) || 4100;
+const DELAY_MS = parseInt(process.env.MOCK_LLM_DELAY_MS) || 50;
+const FAIL_AFTER = parseInt(process.env.MOCK_LLM_FAIL_AFTER) || Infinity;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: { message: 'Not found' } }));
+  }
+  let request;
+  try {
+    request = JSON.parse(await readBody(req));
+  } catch (err) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: { message: 'Body is not valid JSON' } }));
+  }
+
+  const messages = request.messages || [];
+  const call = mockToolCall(messages, (request.tools || []).map(tool => tool.function.name));
+  const answer = mockAnswer(request.model || 'mock-llm', messages);
+  const { promptTokens, completionTokens } = estimateUsage(messages, answer);
+  const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens };
+
+  if (!request.stream) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({
+      model: request.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+      usage
+    }));
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const send = event => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  if (call) {
+    // Split the arguments across chunks the way real endpoints do
+    const args = JSON.stringify(call.arguments);
+    const id = `call_${messages.length}`;
+    send({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id, type: 'function', function: { name: call.name, arguments: args.slice(0, 1) } }] } }] });
+    await sleep(DELAY_MS);
+    send({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: args.slice(1) } }] } }] });
+    send({ choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] });
+    return res.end('data: [DONE]\n\n');
+  }
+  const words = answer.split(/(?<= )/);
+  for (let i = 0; i < words.length && !res.destroyed; i += 1) {
+    if (i === FAIL_AFTER) {
+      send({ error: { message: 'Mock failure' } });
+      return res.end();
+    }
+    send({ model: request.model, choices: [{ index: 0, delta: { content: words[i] } }] });
+    await sleep(DELAY_MS);
+  }
+  send({ model: request.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+  if (request.stream_options && request.stream_options.include_usage) send({ choices: [], usage });
+  res.end('data: [DONE]\n\n');
+});
+
+server.listen(PORT, () => console.log(`Mock chat completions on http://localhost:${PORT}/v1/chat/completions`));
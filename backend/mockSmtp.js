@@ -0,0 +1,96 @@
+// Local SMTP receiver for trying email notification channels without a mail
+// server:
+//
+//   node mockSmtp.js
+//   (add an email channel with host localhost and port 2525)
+//
+// Every message is printed with its envelope and headers. It speaks just
+// enough plain SMTP for nodemailer: no TLS and no authentication, so leave
+// the channel's username empty.
+//
+// Optional: MOCK_SMTP_PORT (default 2525), and MOCK_SMTP_FAIL_FIRST to
+// refuse that many messages with a temporary error, for trying retries.
+const net = require('net');
+
+// Starts a receiver on `port` (0 picks a free one). `onMessage({ from, to,
+// data })` is called for every accepted message; the first `failFirst` are
+// refused with 451 instead.
+function createSmtpReceiver({ port = 0, failFirst = 0, onMessage = () => {} } = {}) {
+  let refused = 0;
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    function command(line) {
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === 'EHLO' || verb === 'HELO') return reply('250 mock-smtp');
+      if (verb === 'MAIL') {
+        if (refused < failFirst) {
+          refused += 1;
+          return reply('451 Mock temporary failure');
+        }
+        envelope = { from: line.slice(10).trim().replace(/^<|>$/g, ''), to: [] };
+        return reply('250 OK');
+      }
+      if (verb === 'RCPT') {
+        envelope.to.push(line.slice(8).trim().replace(/^<|>$/g, ''));
+        return reply('250 OK');
+      }
+      if (verb === 'DATA') {
+        data = [];
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      }
+      if (verb === 'RSET') {
+        envelope = { from: null, to: [] };
+        return reply('250 OK');
+      }
+      if (verb === 'QUIT') {
+        reply('221 Bye');
+        return socket.end();
+      }
+      if (verb === 'NOOP') return reply('250 OK');
+      return reply('502 Command not implemented');
+    }
+
+    function dataLine(line) {
+      if (line !== '.') return data.push(line.startsWith('..') ? line.slice(1) : line);
+      onMessage({ ...envelope, data: data.join('\r\n') });
+      data = null;
+      return reply('250 Message accepted');
+    }
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data) dataLine(line);
+        else command(line);
+      }
+    });
+    socket.on('error', () => {});
+    reply('220 mock-smtp ready');
+  });
+
+  return new Promise(resolve => server.listen(port, () => resolve(server)));
+}
+
+if (require.main === module) {
+  const PORT = parseInt(process.env.MOCK_SMTP_PORT) || 2525;
+  const FAIL_FIRST = parseInt(process.env.MOCK_SMTP_FAIL_FIRST) || 0;
+  createSmtpReceiver({
+    port: PORT,
+    failFirst: FAIL_FIRST,
+    onMessage: ({ from, to, data }) => {
+      console.log(`${new Date().toISOString()} MAIL FROM ${from} TO ${to.join(', ')}`);
+      console.log(data);
+    }
+  }).then(() => console.log(`Mock SMTP receiver on localhost:${PORT}`));
+}
+
+module.exports = { createSmtpReceiver };
@@ -0,0 +1,49 @@
+// Local receiver for trying notification channels without a real Slack,
+// Teams or webhook endpoint:
+//
+//   node mockWebhook.js
+//   (add a webhook channel with the URL http://localhost:4200/hook)
+//
+// Every POST is printed with its headers and body. Optional: MOCK_WEBHOOK_PORT
+// (default 4200), MOCK_WEBHOOK_SECRET to check the X-CIS-Signature header,
+// and MOCK_WEBHOOK_STATUS to answer with that status instead of 200, for
+// trying failed deliveries and retries.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_WEBHOOK_PORT) || 4200;
+const SECRET = process.env.MOCK_WEBHOOK_SECRET;
+const STATUS = parseInt(process.env.MOCK_WEBHOOK_STATUS) || 200;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function checkSignature(req, body) {
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${req.headers['x-cis-timestamp']}.${body}`).digest('hex')}`;
+  return req.headers['x-cis-signature'] === expected ? 'valid' : 'INVALID';
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: 'Not found' }));
+  }
+  const body = await readBody(req);
+  console.log(`${new Date().toISOString()} POST ${req.url}${SECRET ? ` (signature ${checkSignature(req, body)})` : ''}`);
+  console.log(JSON.stringify(req.headers, null, 2));
+  try {
+    console.log(JSON.stringify(JSON.parse(body), null, 2));
+  } catch (err) {
+    console.log(body);
+  }
+  res.writeHead(STATUS, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: STATUS < 400 }));
+});
+
+server.listen(PORT, () => console.log(`Mock webhook receiver on http://localhost:${PORT}`));
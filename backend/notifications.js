@@ -0,0 +1,335 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { EMAIL_PATTERN } = require('./users/common');
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'teams', 'email'];
+const EVENTS = ['firing', 'resolved'];
+const FIELDS = ['name', 'type', 'enabled', 'events', 'config'];
+const SECRET_FIELDS = ['secret', 'password'];
+const MASK = '********';
+
+// Deliveries kept for GET /api/notification-deliveries
+const MAX_LOG_ENTRIES = 200;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const SEVERITY_COLORS = { critical: '#dc2626', warning: '#ca8a04', info: '#2563eb', resolved: '#16a34a' };
+
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// A bare address or "Name <address>", the forms nodemailer accepts
+function isAddress(value) {
+  if (typeof value !== 'string' || value.length > 254) return false;
+  const named = /^[^<>]*<([^<>]+)>$/.exec(value.trim());
+  return EMAIL_PATTERN.test(named ? named[1] : value.trim());
+}
+
+// Returns an object of field -> message; empty when the channel is valid.
+// With `partial`, missing fields are allowed (for updates).
+function validateChannel(input, { partial = false, existing = null } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { _: 'Channel must be a JSON object' };
+  }
+  const errors = {};
+  Object.keys(input).forEach(field => {
+    if (!FIELDS.includes(field) && field !== 'id') errors[field] = 'Unknown field';
+  });
+
+  const value = field => (input[field] !== undefined ? input[field] : existing && existing[field]);
+  const required = field => input[field] !== undefined || !partial;
+
+  if (required('name') && !(typeof input.name === 'string' && input.name.trim() && input.name.length <= 100)) {
+    errors.name = 'Name is required (max 100 characters)';
+  }
+  if (required('type') && !CHANNEL_TYPES.includes(input.type)) {
+    errors.type = `Type must be one of: ${CHANNEL_TYPES.join(', ')}`;
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    errors.enabled = 'Enabled must be true or false';
+  }
+  if (input.events !== undefined && (!Array.isArray(input.events) || input.events.some(e => !EVENTS.includes(e)))) {
+    errors.events = `Events must be a list of: ${EVENTS.join(', ')}`;
+  }
+
+  // A new type needs a config of its own, so changing either re-checks both
+  if (!partial || input.type !== undefined || input.config !== undefined) {
+    const config = value('config') || {};
+    const type = value('type');
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      errors.config = 'Config must be an object';
+    } else if (type === 'email') {
+      if (!config.host) errors['config.host'] = 'SMTP host is required';
+      if (config.port !== undefined && !(Number.isInteger(config.port) && config.port > 0 && config.port < 65536)) {
+        errors['config.port'] = 'Port must be between 1 and 65535';
+      }
+      if (!isAddress(config.from)) errors['config.from'] = 'A valid sender address is required';
+      if (!Array.isArray(config.to) || config.to.length === 0 || !config.to.every(isAddress)) {
+        errors['config.to'] = 'At least one recipient is required, and every recipient must be an email address';
+      }
+    } else if (CHANNEL_TYPES.includes(type) && !isUrl(config.url)) {
+      errors['config.url'] = 'A valid http(s) URL is required';
+    }
+  }
+
+  return errors;
+}
+
+function maskChannel(channel) {
+  const config = { ...channel.config };
+  SECRET_FIELDS.forEach(field => {
+    if (config[field]) config[field] = MASK;
+  });
+  return { ...channel, config };
+}
+
+function describe(alert) {
+  const state = alert.state.toUpperCase();
+  return {
+    title: `[${state}] ${alert.name} on ${alert.hostname}`,
+    detail: `${alert.metric} is ${alert.value} (${alert.comparator} ${alert.threshold})`
+  };
+}
+
+// Request bodies for each HTTP channel type
+const formatters = {
+  webhook: (alert, event) => ({ event: `alert.${event}`, alert, sentAt: new Date().toISOString() }),
+
+  slack: (alert) => {
+    const { title, detail } = describe(alert);
+    return {
+      text: `*${title}*`,
+      attachments: [{
+        color: SEVERITY_COLORS[alert.state === 'resolved' ? 'resolved' : alert.severity],
+        text: detail,
+        fields: [
+          { title: 'Severity', value: alert.severity, short: true },
+          { title: 'Host', value: alert.hostname, short: true }
+        ],
+        ts: Math.floor(Date.now() / 1000)
+      }]
+    };
+  },
+
+  teams: (alert) => {
+    const { title, detail } = describe(alert);
+    return {
+      '@type': 'MessageCard',
+      '@context': 'http://schema.org/extensions',
+      themeColor: SEVERITY_COLORS[alert.state === 'resolved' ? 'resolved' : alert.severity].slice(1),
+      summary: title,
+      sections: [{
+        activityTitle: title,
+        text: detail,
+        facts: [
+          { name: 'Severity', value: alert.severity },
+          { name: 'Host', value: alert.hostname },
+          { name: 'Since', value: alert.firingAt || alert.pendingAt }
+        ]
+      }]
+    };
+  }
+};
+
+async function postJson(channel, body) {
+  const payload = JSON.stringify(body);
+  const headers = { 'Content-Type': 'application/json' };
+
+  // Receivers verify HMAC-SHA256(secret, "<timestamp>.<body>") to authenticate us
+  if (channel.type === 'webhook' && channel.config.secret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', channel.config.secret).update(`${timestamp}.${payload}`).digest('hex');
+    headers['X-CIS-Timestamp'] = timestamp;
+    headers['X-CIS-Signature'] = `sha256=${signature}`;
+  }
+
+  const response = await fetch(channel.config.url, {
+    method: 'POST',
+    headers,
+    body: payload,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+}
+
+async function sendEmail(channel, alert) {
+  const { host, port = 587, secure = false, username, password, from, to } = channel.config;
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: username ? { user: username, pass: password } : undefined,
+    connectionTimeout: REQUEST_TIMEOUT_MS,
+    greetingTimeout: REQUEST_TIMEOUT_MS,
+    socketTimeout: REQUEST_TIMEOUT_MS
+  });
+  const { title, detail } = describe(alert);
+  await transport.sendMail({
+    from,
+    to: to.join(', '),
+    subject: title,
+    text: [
+      detail,
+      '',
+      `Severity: ${alert.severity}`,
+      `Host: ${alert.hostname}`,
+      `Rule: ${alert.ruleId}`,
+      `Since: ${alert.firingAt || alert.pendingAt}`,
+      alert.resolvedAt ? `Resolved: ${alert.resolvedAt}` : null
+    ].filter(line => line !== null).join('\n')
+  });
+}
+
+function send(channel, alert, event) {
+  if (channel.type === 'email') return sendEmail(channel, alert);
+  return postJson(channel, formatters[channel.type](alert, event));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delivers alert transitions to the configured channels with retries and
+// exponential backoff, keeping a log of every delivery attempt
+function createNotifier({ file, maxAttempts = 4, baseDelayMs = 1000, onDelivery = () => {} }) {
+  let channels = [];
+  const log = [];
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(channels, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function load() {
+    if (fs.existsSync(file)) channels = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  const list = () => channels.map(maskChannel);
+  const find = id => channels.find(channel => channel.id === id);
+  const get = id => (find(id) ? maskChannel(find(id)) : null);
+
+  function pickFields(input, existing) {
+    const channel = {};
+    FIELDS.forEach(field => {
+      if (input[field] !== undefined) channel[field] = input[field];
+    });
+    if (typeof channel.name === 'string') channel.name = channel.name.trim();
+    // Masked secrets coming back from the UI mean "unchanged"
+    if (channel.config && existing) {
+      SECRET_FIELDS.forEach(field => {
+        if (channel.config[field] === MASK) channel.config[field] = existing.config[field];
+      });
+    }
+    return channel;
+  }
+
+  function create(input) {
+    const channel = { enabled: true, events: EVENTS.slice(), ...pickFields(input), id: crypto.randomUUID() };
+    channels.push(channel);
+    save();
+    return maskChannel(channel);
+  }
+
+  function update(id, input) {
+    const index = channels.findIndex(channel => channel.id === id);
+    if (index === -1) return null;
+    channels[index] = { ...channels[index], ...pickFields(input, channels[index]) };
+    save();
+    return maskChannel(channels[index]);
+  }
+
+  function remove(id) {
+    const before = channels.length;
+    channels = channels.filter(channel => channel.id !== id);
+    if (channels.length === before) return false;
+    save();
+    return true;
+  }
+
+  async function deliver(channel, alert, event, attempts = maxAttempts) {
+    const entry = {
+      id: crypto.randomUUID(),
+      channelId: channel.id,
+      channelName: channel.name,
+      type: channel.type,
+      event,
+      alertId: alert.id,
+      alertName: alert.name,
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      createdAt: new Date().toISOString(),
+      deliveredAt: null
+    };
+    log.unshift(entry);
+    log.splice(MAX_LOG_ENTRIES);
+
+    while (entry.attempts < attempts) {
+      entry.attempts++;
+      try {
+        await send(channel, alert, event);
+        entry.status = 'delivered';
+        entry.deliveredAt = new Date().toISOString();
+        entry.error = null;
+        break;
+      } catch (err) {
+        entry.error = err.message;
+        if (entry.attempts >= attempts) {
+          entry.status = 'failed';
+        } else {
+          await sleep(baseDelayMs * Math.pow(2, entry.attempts - 1));
+        }
+      }
+    }
+    onDelivery(entry);
+    return entry;
+  }
+
+  // Fan an alert transition out to every enabled channel subscribed to it
+  function notify(alert) {
+    if (!EVENTS.includes(alert.state)) return;
+    channels
+      .filter(channel => channel.enabled && (channel.events || EVENTS).includes(alert.state))
+      .forEach(channel => {
+        deliver(channel, alert, alert.state).catch(err => console.error('Notification delivery failed:', err.message));
+      });
+  }
+
+  // Sends a synthetic firing alert to one channel and waits for the outcome.
+  // A test is tried once, so a broken channel is reported straight away.
+  function sendTest(id) {
+    const channel = find(id);
+    if (!channel) return null;
+    const now = new Date().toISOString();
+    const alert = {
+      id: `test-${crypto.randomUUID()}`,
+      ruleId: 'test',
+      name: 'Test notification',
+      metric: 'cpu',
+      comparator: '>',
+      threshold: 80,
+      value: 95,
+      severity: 'info',
+      labels: { test: 'true' },
+      hostname: os.hostname(),
+      state: 'firing',
+      pendingAt: now,
+      firingAt: now
+    };
+    return deliver(channel, alert, 'test', 1);
+  }
+
+  const deliveries = () => log.slice();
+
+  return { load, list, get, create, update, remove, notify, sendTest, deliveries };
+}
+
+module.exports = { createNotifier, validateChannel, CHANNEL_TYPES, EVENTS };
@@ -0,0 +1,25 @@
+const { sendError } = require('./errors');
+
+const ROLES = ['admin', 'moderator', 'user'];
+
+// What each role may do; routes and the UI check permissions, never roles
+const ROLE_PERMISSIONS = {
+  admin: ['metrics:read', 'hosts:manage', 'alerts:manage', 'notifications:manage', 'users:read', 'users:write', 'audit:read', 'chat:use'],
+  moderator: ['metrics:read', 'hosts:manage', 'alerts:manage', 'chat:use'],
+  user: ['metrics:read', 'chat:use']
+};
+
+const permissionsFor = role => ROLE_PERMISSIONS[role] || [];
+const can = (user, permission) => Boolean(user) && permissionsFor(user.role).includes(permission);
+
+// Route guard; expects req.user to have been set by the session middleware
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return sendError(res, 403, `Missing permission: ${permission}`);
+    }
+    next();
+  };
+}
+
+module.exports = { ROLES, ROLE_PERMISSIONS, permissionsFor, can, requirePermission };
@@ -3,116 +3,1042 @@ const cors = require('cors');
 const { Server } = require('socket.io');
 const http = require('http');
 const os = require('os');
-const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createMetricsCollector } = require('./metrics');
+const { createHistoryStore } = require('./history');
+const { createAlertEngine } = require('./alerts');
+const { createRuleStore, validateRule, testRule } = require('./alertRules');
+const { createNotifier, validateChannel } = require('./notifications');
+const { createHostRegistry, validateAgentReport } = require('./hosts');
+const { createGoogleJwks, createIdTokenVerifier, parseCookies, SESSION_COOKIE } = require('./auth');
+const { createSessionStore } = require('./sessions');
+const { permissionsFor, can, requirePermission } = require('./permissions');
+const {
+  createUserStore,
+  validateUser,
+  parseUserQuery,
+  toCsv,
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  parseImport,
+  planImport,
+  applyImport,
+  summarizeImport,
+  validateBulk,
+  applyBulk
+} = require('./users');
+const { sendError, sendValidationError, errorHandler } = require('./errors');
+const { createAuditLog, parseAuditQuery, diff } = require('./audit');
+const {
+  DEFAULT_SYSTEM_PROMPT,
+  validateChatRequest,
+  buildContext,
+  contentLength,
+  createRateLimiter,
+  createUsageTracker
+} = require('./chat');
+const { createLlm, estimateUsage } = require('./llm');
+const { createChatTools } = require('./chatTools');
+const { validateConversation, createConversationStore, toMarkdown, summarise, MAX_CONVERSATIONS } = require('./conversations');
+
+// Sessions ride on a cookie, so CORS must name the frontend's origin
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
 
 const app = express();
-app.use(cors());
-app.use(express.json());
-
-// Real system metrics function
-function getRealMetrics() {
-  const cpus = os.cpus();
-  const totalMem = os.totalmem();
-  const freeMem = os.freemem();
-  const usedMem = totalMem - freeMem;
-  
-  // Calculate CPU usage
-  let totalIdle = 0;
-  let totalTick = 0;
-  cpus.forEach(cpu => {
-    for (type in cpu.times) {
-      totalTick += cpu.times[type];
-    }
-    totalIdle += cpu.times.idle;
-  });
-  const idle = totalIdle / cpus.length;
-  const total = totalTick / cpus.length;
-  const usage = 100 - ~~(100 * idle / total);
+app.use(cors({ origin: CLIENT_ORIGIN, credentials: true }));
+// Large enough for a few thousand rows of user import
+app.use(express.json({ limit: '2mb' }));
+
+const getRealMetrics = createMetricsCollector();
+
+// User accounts: SQLite by default, USER_STORE=json for a plain JSON file
+const userStoreDriver = process.env.USER_STORE || 'sqlite';
+const users = createUserStore({
+  driver: userStoreDriver,
+  file: process.env.USER_STORE_FILE || path.join(__dirname, 'data', userStoreDriver === 'json' ? 'users.json' : 'users.db')
+});
+
+// Append-only record of every change made through the API
+const auditLog = createAuditLog({
+  file: process.env.AUDIT_LOG_FILE || path.join(__dirname, 'data', 'audit.log')
+});
 
-  // Get disk usage (simplified)
-  let diskUsage = 0;
+try {
+  auditLog.load();
+} catch (err) {
+  console.error('Failed to load audit log:', err.message);
+}
+
+// Records `action` on `target` by the signed-in user, with a field diff
+// between `before` and `after`. A failed write is logged, not fatal: the
+// change itself has already been made.
+function audit(req, action, target, { before = null, after = null, details, actor = req.user } = {}) {
   try {
-    const stats = fs.statSync('/');
-    diskUsage = Math.random() * 30 + 20; // Fallback to simulated data
+    auditLog.record({
+      actor,
+      action,
+      target,
+      changes: diff(before, after),
+      details,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
   } catch (err) {
-    diskUsage = Math.random() * 30 + 20;
-  }
-
-  // Network stats (simulated for cross-platform compatibility)
-  const networkSpeed = Math.random() * 100 + 50;
-
-  return {
-    cpu: Math.round(usage) || Math.floor(Math.random() * 50) + 10,
-    memory: Math.round((usedMem / totalMem) * 100),
-    disk: Math.round(diskUsage),
-    network: Math.round(networkSpeed),
-    uptime: Math.round(os.uptime()),
-    platform: os.platform(),
-    hostname: os.hostname(),
-    timestamp: new Date().toISOString(),
-    totalMemory: Math.round(totalMem / (1024 * 1024 * 1024) * 100) / 100, // GB
-    freeMemory: Math.round(freeMem / (1024 * 1024 * 1024) * 100) / 100, // GB
-    cpuCount: cpus.length,
-    loadAverage: os.loadavg()
-  };
+    console.error('Failed to write audit entry:', err.message);
+  }
+}
+
+const userTarget = user => ({ type: 'user', id: user.id, name: user.email });
+
+// Metrics history, persisted across restarts
+const SAMPLE_INTERVAL_MS = 3000;
+const HISTORY_SAVE_INTERVAL_MS = 60000;
+const history = createHistoryStore({
+  sampleIntervalMs: SAMPLE_INTERVAL_MS,
+  defaultHost: os.hostname(),
+  file: process.env.METRICS_HISTORY_FILE || path.join(__dirname, 'data', 'metrics-history.json')
+});
+
+try {
+  history.load();
+} catch (err) {
+  console.error('Failed to load metrics history:', err.message);
+}
+
+function saveHistory() {
+  try {
+    history.save();
+  } catch (err) {
+    console.error('Failed to save metrics history:', err.message);
+  }
+}
+
+// Hosts reporting metrics: this server plus any push agents
+const hostRegistry = createHostRegistry({
+  offlineAfterMs: parseInt(process.env.HOST_OFFLINE_AFTER_MS) || 30000
+});
+
+// Agents authenticate with one of the comma-separated AGENT_TOKENS
+const agentTokens = (process.env.AGENT_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean);
+
+// Hashing first gives equal-length buffers, so the comparison takes the same
+// time whatever the token's length or content
+const digest = token => crypto.createHash('sha256').update(token).digest();
+
+function requireAgentToken(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const valid = scheme === 'Bearer' && token && agentTokens.some(expected =>
+    crypto.timingSafeEqual(digest(expected), digest(token))
+  );
+  if (!valid) {
+    return sendError(res, 401, 'Invalid or missing agent token', { code: 'INVALID_AGENT_TOKEN' });
+  }
+  next();
+}
+
+// Users sign in with a Google ID token and get a server-side session
+// (GOOGLE_JWKS_URL points key lookups elsewhere, e.g. at a local test issuer)
+const verifyIdToken = createIdTokenVerifier({
+  clientId: process.env.GOOGLE_CLIENT_ID,
+  jwks: createGoogleJwks({ url: process.env.GOOGLE_JWKS_URL })
+});
+const SESSION_MAX_AGE_MS = parseInt(process.env.SESSION_MAX_AGE_MS) || 7 * 24 * 60 * 60 * 1000;
+const sessions = createSessionStore({
+  idleTimeoutMs: parseInt(process.env.SESSION_IDLE_TIMEOUT_MS) || 12 * 60 * 60 * 1000,
+  maxAgeMs: SESSION_MAX_AGE_MS
+});
+
+setInterval(sessions.prune, 10 * 60 * 1000);
+
+// Google accounts are linked to `users` records by email. Accounts are
+// normally created by an admin; an unknown address only gets one on first
+// sign-in if it is listed in ADMIN_EMAILS (as admin) or matches
+// ALLOWED_EMAILS (as user), which takes addresses and @domain entries.
+const emailList = value => (value || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+const adminEmails = emailList(process.env.ADMIN_EMAILS);
+const allowedEmails = emailList(process.env.ALLOWED_EMAILS);
+
+// A new store starts empty, so the first admin can only sign up this way
+if (adminEmails.length === 0 && !users.counts().roles.admin) {
+  console.warn('No admin account exists and ADMIN_EMAILS is not set: nobody can sign in to manage users');
+}
+
+const mayJoin = email => adminEmails.includes(email) ||
+  allowedEmails.some(entry => (entry.startsWith('@') ? email.endsWith(entry) : entry === email));
+
+// { account, created }: the account to sign in, or null when the address may
+// not have one, and whether this sign-in created it. A deleted account is
+// returned as it is, so its owner cannot sign up again.
+function linkAccount(claims) {
+  const email = claims.email.toLowerCase();
+  let account = users.findByEmail(email, { includeDeleted: true });
+  let created = false;
+  if (account && account.deletedAt) return { account, created };
+  if (!account) {
+    if (!mayJoin(email)) return { account: null, created };
+    account = users.create({ name: claims.name || email, email, role: adminEmails.includes(email) ? 'admin' : 'user' });
+    created = true;
+  }
+  if (account.status !== 'active') return { account, created };
+  return { account: users.update(account.id, { lastLogin: new Date().toISOString() }), created };
+}
+
+// The session only remembers who signed in; role and status are read from
+// the user record on every request so changes apply immediately
+function sessionUser(cookieHeader) {
+  const session = sessions.touch(parseCookies(cookieHeader)[SESSION_COOKIE]);
+  if (!session) return null;
+  const account = users.get(session.user.id);
+  if (!account || account.status !== 'active') {
+    sessions.destroy(session.id);
+    return null;
+  }
+  return { session, user: { ...account, picture: session.user.picture, permissions: permissionsFor(account.role) } };
+}
+
+// Ends sessions at once, including the sockets opened with them, rather
+// than waiting for their next request to be refused
+function disconnectSessions(ended) {
+  const ids = new Set(ended.map(session => session.id));
+  io.sockets.sockets.forEach(socket => {
+    if (ids.has(socket.data.session.id)) socket.disconnect(true);
+  });
+}
+
+// Delivery results name channels and their errors, so only sockets of users
+// who manage notifications receive them
+const NOTIFICATIONS_ROOM = 'notifications';
+
+function joinRooms(socket, account) {
+  if (can(account, 'notifications:manage')) socket.join(NOTIFICATIONS_ROOM);
+  else socket.leave(NOTIFICATIONS_ROOM);
+}
+
+// Deactivated and deleted users are signed out everywhere; a changed role
+// applies to the sockets they already have open
+function revokeIfInactive(userId, account) {
+  if (!account || account.status !== 'active') return disconnectSessions(sessions.destroyForUser(userId));
+  io.sockets.sockets.forEach(socket => {
+    if (socket.data.session.user.id === userId) joinRooms(socket, account);
+  });
+}
+
+function requireSession(req, res, next) {
+  const current = sessionUser(req.headers.cookie);
+  if (!current) {
+    return sendError(res, 401, 'Authentication required');
+  }
+  req.session = current.session;
+  req.user = current.user;
+  next();
+}
+
+// Threshold alerting; transitions are pushed to every dashboard
+const alertRules = createRuleStore({
+  file: process.env.ALERT_RULES_FILE || path.join(__dirname, 'data', 'alert-rules.json')
+});
+
+try {
+  alertRules.load();
+} catch (err) {
+  console.error('Failed to load alert rules:', err.message);
 }
 
-// Mock user data (in production, this would be a database)
-let users = [
-  { id: 1, name: 'John Doe', email: 'john@example.com', role: 'admin', status: 'active', lastLogin: new Date().toISOString() },
-  { id: 2, name: 'Jane Smith', email: 'jane@example.com', role: 'user', status: 'active', lastLogin: new Date(Date.now() - 86400000).toISOString() },
-  { id: 3, name: 'Bob Wilson', email: 'bob@example.com', role: 'user', status: 'inactive', lastLogin: new Date(Date.now() - 172800000).toISOString() }
-];
+// Firing and resolved alerts are also delivered to notification channels
+const notifier = createNotifier({
+  file: process.env.NOTIFICATION_CHANNELS_FILE || path.join(__dirname, 'data', 'notification-channels.json'),
+  onDelivery: entry => io.to(NOTIFICATIONS_ROOM).emit('notificationDelivery', entry)
+});
+
+try {
+  notifier.load();
+} catch (err) {
+  console.error('Failed to load notification channels:', err.message);
+}
+
+const alertEngine = createAlertEngine({
+  getRules: alertRules.list,
+  onChange: alert => {
+    io.emit('alert', alert);
+    io.emit('alerts', alertEngine.list());
+    notifier.notify(alert);
+  }
+});
+
+// AI assistant: completions are requested here so provider keys never
+// reach the browser. The OpenAI-compatible endpoint is always configured;
+// Ollama and the offline mock are opt-in.
+const envList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+// A typo should stop the server rather than reach the model as NaN
+function envNumber(name) {
+  if (!process.env[name]) return undefined;
+  const value = Number(process.env[name]);
+  if (Number.isNaN(value)) throw new Error(`${name} must be a number, got "${process.env[name]}"`);
+  return value;
+}
+
+const llm = createLlm({
+  providers: [
+    {
+      id: 'openai',
+      type: 'openai',
+      label: process.env.LLM_LABEL || 'OpenAI-compatible',
+      url: process.env.LLM_API_URL || 'https://router.huggingface.co/v1/chat/completions',
+      apiKey: process.env.LLM_API_KEY,
+      models: envList(process.env.LLM_MODELS || process.env.LLM_MODEL || 'meta-llama/Llama-3.1-8B-Instruct:novita'),
+      temperature: envNumber('LLM_TEMPERATURE'),
+      maxTokens: envNumber('LLM_MAX_TOKENS')
+    },
+    process.env.OLLAMA_URL && {
+      id: 'ollama',
+      type: 'ollama',
+      label: 'Ollama',
+      url: process.env.OLLAMA_URL,
+      models: envList(process.env.OLLAMA_MODELS || 'llama3.1'),
+      temperature: envNumber('OLLAMA_TEMPERATURE'),
+      maxTokens: envNumber('OLLAMA_MAX_TOKENS')
+    },
+    process.env.LLM_MOCK === 'true' && {
+      id: 'mock',
+      type: 'mock',
+      label: 'Mock (offline)',
+      models: ['mock-1']
+    }
+  ].filter(Boolean),
+  primary: process.env.LLM_PROVIDER,
+  fallback: process.env.LLM_FALLBACK_PROVIDER
+});
+
+// Read-only lookups the assistant can make to answer from live data
+const chatTools = createChatTools({ hostRegistry, history, alertEngine, users, defaultHost: os.hostname() });
+
+const chatConfig = {
+  timeoutMs: parseInt(process.env.CHAT_TIMEOUT_MS) || 60000,
+  maxChars: parseInt(process.env.CHAT_MAX_CHARS) || 200000,
+  systemPrompt: process.env.CHAT_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT,
+  // Prompt tokens the model's context window allows, minus room for the answer
+  budget: parseInt(process.env.CHAT_CONTEXT_TOKENS) || 6000
+};
+const chatLimiter = createRateLimiter({ limit: parseInt(process.env.CHAT_RATE_LIMIT) || 20, windowMs: 60000 });
+const chatUsage = createUsageTracker({
+  file: process.env.CHAT_USAGE_FILE || path.join(__dirname, 'data', 'chat-usage.json')
+});
+
+try {
+  chatUsage.load();
+} catch (err) {
+  console.error('Failed to load chat usage:', err.message);
+}
+
+setInterval(chatLimiter.prune, 10 * 60 * 1000);
+
+// Each user's saved assistant conversations
+const conversations = createConversationStore({
+  file: process.env.CONVERSATIONS_FILE || path.join(__dirname, 'data', 'conversations.db')
+});
+
+const conversationTarget = conversation => ({ type: 'conversation', id: conversation.id, name: conversation.title });
 
 // API Routes
-app.get('/api/metrics', (req, res) => res.json(getRealMetrics()));
+app.post('/api/auth/google', async (req, res) => {
+  const { credential } = req.body || {};
+  let claims;
+  try {
+    claims = await verifyIdToken(credential);
+  } catch (err) {
+    return sendError(res, 401, err.message, { code: 'INVALID_ID_TOKEN' });
+  }
+  const { account, created } = linkAccount(claims);
+  if (created) {
+    audit(req, 'user.create', userTarget(account), { actor: account, after: account, details: { via: 'signup' } });
+  }
+  if (!account) {
+    const email = claims.email.toLowerCase();
+    audit(req, 'auth.loginDenied', { type: 'user', id: null, name: email }, {
+      actor: { id: null, email, name: claims.name },
+      details: { reason: 'No account for this address' }
+    });
+    return sendError(res, 403, 'There is no account for this Google address. Ask an administrator to add you.', { code: 'ACCOUNT_NOT_FOUND' });
+  }
+  if (account.deletedAt) {
+    audit(req, 'auth.loginDenied', userTarget(account), { actor: account, details: { reason: 'Account deleted' } });
+    return sendError(res, 403, 'This account has been deleted', { code: 'ACCOUNT_DELETED' });
+  }
+  if (account.status !== 'active') {
+    audit(req, 'auth.loginDenied', userTarget(account), { actor: account, details: { reason: 'Account deactivated' } });
+    return sendError(res, 403, 'This account has been deactivated', { code: 'ACCOUNT_DEACTIVATED' });
+  }
+  const session = sessions.create(
+    { id: account.id, sub: claims.sub, picture: claims.picture },
+    { ip: req.ip, userAgent: req.get('user-agent') }
+  );
+  audit(req, 'auth.login', userTarget(account), { actor: account });
+  res.cookie(SESSION_COOKIE, session.id, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_MAX_AGE_MS
+  });
+  res.json({ ...account, picture: claims.picture, permissions: permissionsFor(account.role) });
+});
 
-app.get('/api/users', (req, res) => res.json(users));
+// Metrics pushed by agent.js running on other machines
+app.post('/api/agent/metrics', requireAgentToken, (req, res) => {
+  const errors = validateAgentReport(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid metrics report', errors);
+  }
+  const { metrics, tags = [] } = req.body;
+  if (metrics.hostname === os.hostname()) {
+    return sendError(res, 409, 'Hostname conflicts with the monitoring server', { code: 'HOSTNAME_CONFLICT' });
+  }
+  // Agent clocks may drift, so samples are stamped on arrival
+  const sample = { ...metrics, reportedAt: metrics.timestamp, timestamp: new Date().toISOString() };
+  ingest(sample, { source: 'agent', tags });
+  res.status(202).json({ message: 'Metrics accepted' });
+});
 
-app.post('/api/users', (req, res) => {
-  const newUser = {
-    id: Math.max(...users.map(u => u.id)) + 1,
-    ...req.body,
-    lastLogin: new Date().toISOString()
-  };
-  users.push(newUser);
-  res.json(newUser);
+// Every other API route needs a signed-in user
+app.use('/api', requireSession);
+
+app.get('/api/auth/me', (req, res) => res.json(req.user));
+
+app.post('/api/auth/logout', (req, res) => {
+  sessions.destroy(req.session.id);
+  audit(req, 'auth.logout', userTarget(req.user));
+  disconnectSessions([req.session]);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ message: 'Signed out' });
+});
+
+app.get('/api/metrics', requirePermission('metrics:read'), (req, res) => res.json(latestMetrics));
+
+app.get('/api/metrics/history', requirePermission('metrics:read'), (req, res) => {
+  const { host, metric = 'cpu', from, to, step } = req.query;
+  try {
+    res.json(history.query({ host, metric, from, to, step }));
+  } catch (err) {
+    sendError(res, 400, err.message);
+  }
+});
+
+// One aligned series per host, for the Fleet heatmap (default: last hour in 1-minute steps)
+app.get('/api/metrics/heatmap', requirePermission('metrics:read'), (req, res) => {
+  const { metric = 'cpu', from = String(Date.now() - 3600000), to, step = '60' } = req.query;
+  try {
+    const series = hostRegistry.list().map(host => {
+      const result = history.query({ host: host.hostname, metric, from, to, step });
+      return { host: host.hostname, points: result.points };
+    });
+    const range = history.query({ metric, from, to, step });
+    res.json({ metric, from: range.from, to: range.to, step: range.step, hosts: series });
+  } catch (err) {
+    sendError(res, 400, err.message);
+  }
+});
+
+app.get('/api/hosts', requirePermission('metrics:read'), (req, res) => res.json(hostRegistry.list()));
+
+app.get('/api/hosts/:hostname', requirePermission('metrics:read'), (req, res) => {
+  const host = hostRegistry.get(req.params.hostname);
+  if (!host) {
+    return sendError(res, 404, 'Host not found');
+  }
+  res.json(host);
+});
+
+app.delete('/api/hosts/:hostname', requirePermission('hosts:manage'), (req, res) => {
+  const host = hostRegistry.get(req.params.hostname);
+  if (req.params.hostname === os.hostname() || !hostRegistry.remove(req.params.hostname)) {
+    return sendError(res, 404, 'Host not found');
+  }
+  audit(req, 'host.delete', { type: 'host', id: host.hostname, name: host.hostname }, { before: host });
+  res.json({ message: 'Host removed successfully' });
+});
+
+app.get('/api/alerts', requirePermission('metrics:read'), (req, res) => res.json(alertEngine.list()));
+
+app.get('/api/alert-rules', requirePermission('metrics:read'), (req, res) => res.json(alertRules.list()));
+
+app.post('/api/alert-rules/test', requirePermission('alerts:manage'), (req, res) => {
+  const errors = validateRule(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid alert rule', errors);
+  }
+  res.json(testRule(req.body, latestMetrics));
+});
+
+app.get('/api/alert-rules/:id', requirePermission('metrics:read'), (req, res) => {
+  const rule = alertRules.get(req.params.id);
+  if (!rule) {
+    return sendError(res, 404, 'Alert rule not found');
+  }
+  res.json(rule);
+});
+
+app.post('/api/alert-rules/:id/test', requirePermission('alerts:manage'), (req, res) => {
+  const rule = alertRules.get(req.params.id);
+  if (!rule) {
+    return sendError(res, 404, 'Alert rule not found');
+  }
+  res.json(testRule(rule, latestMetrics));
+});
+
+app.post('/api/alert-rules', requirePermission('alerts:manage'), (req, res) => {
+  const errors = validateRule(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid alert rule', errors);
+  }
+  const rule = alertRules.create(req.body);
+  audit(req, 'alertRule.create', { type: 'alertRule', id: rule.id, name: rule.name }, { after: rule });
+  io.emit('alertRules', alertRules.list());
+  res.status(201).json(rule);
+});
+
+app.put('/api/alert-rules/:id', requirePermission('alerts:manage'), (req, res) => {
+  const errors = validateRule(req.body, { partial: true });
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid alert rule', errors);
+  }
+  const before = alertRules.get(req.params.id);
+  if (!before) {
+    return sendError(res, 404, 'Alert rule not found');
+  }
+  // The store replaces the record, so `before` keeps the old values
+  const rule = alertRules.update(req.params.id, req.body);
+  audit(req, 'alertRule.update', { type: 'alertRule', id: rule.id, name: rule.name }, { before, after: rule });
+  io.emit('alertRules', alertRules.list());
+  res.json(rule);
+});
+
+app.delete('/api/alert-rules/:id', requirePermission('alerts:manage'), (req, res) => {
+  const rule = alertRules.get(req.params.id);
+  if (!alertRules.remove(req.params.id)) {
+    return sendError(res, 404, 'Alert rule not found');
+  }
+  audit(req, 'alertRule.delete', { type: 'alertRule', id: rule.id, name: rule.name }, { before: rule });
+  io.emit('alertRules', alertRules.list());
+  res.json({ message: 'Alert rule deleted successfully' });
+});
+
+app.get('/api/notification-channels', requirePermission('notifications:manage'), (req, res) => res.json(notifier.list()));
+
+app.get('/api/notification-channels/:id', requirePermission('notifications:manage'), (req, res) => {
+  const channel = notifier.get(req.params.id);
+  if (!channel) {
+    return sendError(res, 404, 'Notification channel not found');
+  }
+  res.json(channel);
+});
+
+app.post('/api/notification-channels', requirePermission('notifications:manage'), (req, res) => {
+  const errors = validateChannel(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid notification channel', errors);
+  }
+  // Secrets are masked in the channel returned, and so in the audit entry
+  const channel = notifier.create(req.body);
+  audit(req, 'notificationChannel.create', { type: 'notificationChannel', id: channel.id, name: channel.name }, { after: channel });
+  res.status(201).json(channel);
+});
+
+app.put('/api/notification-channels/:id', requirePermission('notifications:manage'), (req, res) => {
+  const existing = notifier.get(req.params.id);
+  if (!existing) {
+    return sendError(res, 404, 'Notification channel not found');
+  }
+  const errors = validateChannel(req.body, { partial: true, existing });
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid notification channel', errors);
+  }
+  const channel = notifier.update(req.params.id, req.body);
+  audit(req, 'notificationChannel.update', { type: 'notificationChannel', id: channel.id, name: channel.name }, { before: existing, after: channel });
+  res.json(channel);
+});
+
+app.delete('/api/notification-channels/:id', requirePermission('notifications:manage'), (req, res) => {
+  const channel = notifier.get(req.params.id);
+  if (!notifier.remove(req.params.id)) {
+    return sendError(res, 404, 'Notification channel not found');
+  }
+  audit(req, 'notificationChannel.delete', { type: 'notificationChannel', id: channel.id, name: channel.name }, { before: channel });
+  res.json({ message: 'Notification channel deleted successfully' });
+});
+
+app.post('/api/notification-channels/:id/test', requirePermission('notifications:manage'), async (req, res) => {
+  const channel = notifier.get(req.params.id);
+  const delivery = notifier.sendTest(req.params.id);
+  if (!delivery) {
+    return sendError(res, 404, 'Notification channel not found');
+  }
+  const entry = await delivery;
+  audit(req, 'notificationChannel.test', { type: 'notificationChannel', id: channel.id, name: channel.name }, {
+    details: { status: entry.status, error: entry.error }
+  });
+  res.json(entry);
+});
+
+app.get('/api/notification-deliveries', requirePermission('notifications:manage'), (req, res) => res.json(notifier.deliveries()));
+
+app.get('/api/users', requirePermission('users:read'), (req, res) => {
+  const { options, errors } = parseUserQuery(req.query);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid user query', errors);
+  }
+  const { users: matches, total } = users.search(options);
+  res.json({ users: matches, total, page: options.page, pageSize: options.pageSize, counts: users.counts() });
+});
+
+const EXPORT_COLUMNS = ['id', 'name', 'email', 'role', 'status', 'lastLogin', 'createdAt'];
+
+// Every user matching the list filters, as CSV
+app.get('/api/users/export', requirePermission('users:read'), (req, res) => {
+  const { options, errors } = parseUserQuery(req.query);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid user query', errors);
+  }
+  const { users: matches } = users.search({ ...options, page: 1, pageSize: null });
+  res.attachment(`users-${new Date().toISOString().slice(0, 10)}.csv`);
+  res.send(toCsv([EXPORT_COLUMNS, ...matches.map(user => EXPORT_COLUMNS.map(column => user[column]))]));
+});
+
+// CSV or JSON import. Rows are matched to existing users by email; with
+// dryRun (the default) nothing is written and the plan is returned as a preview.
+app.post('/api/users/import', requirePermission('users:write'), (req, res) => {
+  const { format, content, dryRun = true } = req.body || {};
+  const errors = {};
+  if (!IMPORT_FORMATS.includes(format)) errors.format = `Format must be one of: ${IMPORT_FORMATS.join(', ')}`;
+  if (typeof content !== 'string' || !content.trim()) errors.content = 'File content is required';
+  if (typeof dryRun !== 'boolean') errors.dryRun = 'dryRun must be true or false';
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid import', errors);
+  }
+
+  let records;
+  try {
+    records = parseImport(format, content);
+  } catch (err) {
+    return sendError(res, 400, err.message, { code: 'INVALID_IMPORT_FILE' });
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return sendError(res, 400, `Imports are limited to ${MAX_IMPORT_ROWS} rows`, { code: 'IMPORT_TOO_LARGE' });
+  }
+
+  const plan = planImport(users, records, { actorId: req.user.id });
+  if (!dryRun) {
+    applyImport(users, plan, {
+      onChange: (before, after) => {
+        audit(req, before ? 'user.update' : 'user.create', userTarget(after), { before, after, details: { via: 'import' } });
+        revokeIfInactive(after.id, after);
+      }
+    });
+  }
+  res.json({ dryRun, summary: summarizeImport(plan), rows: plan });
 });
 
-app.put('/api/users/:id', (req, res) => {
+app.post('/api/users/bulk', requirePermission('users:write'), (req, res) => {
+  const errors = validateBulk(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid bulk operation', errors);
+  }
+  const results = applyBulk(users, req.body, {
+    actorId: req.user.id,
+    onChange: (before, after) => {
+      audit(req, after ? 'user.update' : 'user.delete', userTarget(before), { before, after, details: { via: 'bulk' } });
+      revokeIfInactive(before.id, after);
+      if (!after) conversations.removeForUser(before.id);
+    }
+  });
+  res.json({
+    action: req.body.action,
+    succeeded: results.filter(result => result.ok).length,
+    failed: results.filter(result => !result.ok).length,
+    results
+  });
+});
+
+// Runs a user store write, answering 409 Conflict (and returning undefined)
+// when the email address is already taken
+function saveUser(res, write) {
+  try {
+    return write();
+  } catch (err) {
+    if (err.code !== 'DUPLICATE_EMAIL') throw err;
+    sendError(res, 409, err.message, { code: err.code, fields: { email: 'Email address is already in use' } });
+    return undefined;
+  }
+}
+
+app.post('/api/users', requirePermission('users:write'), (req, res) => {
+  const errors = validateUser(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid user', errors);
+  }
+  const user = saveUser(res, () => users.create(req.body));
+  if (!user) return;
+  audit(req, 'user.create', userTarget(user), { after: user });
+  res.status(201).json(user);
+});
+
+app.put('/api/users/:id', requirePermission('users:write'), (req, res) => {
   const userId = parseInt(req.params.id);
-  const userIndex = users.findIndex(u => u.id === userId);
-  if (userIndex === -1) {
-    return res.status(404).json({ error: 'User not found' });
+  const before = users.get(userId);
+  if (!before) {
+    return sendError(res, 404, 'User not found');
+  }
+  const errors = validateUser(req.body, { partial: true });
+  // Admins cannot lock themselves out
+  if (userId === req.user.id) {
+    if (req.body.role !== undefined && req.body.role !== req.user.role) errors.role = 'You cannot change your own role';
+    if (req.body.status === 'inactive') errors.status = 'You cannot deactivate your own account';
+  }
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid user', errors);
   }
-  users[userIndex] = { ...users[userIndex], ...req.body };
-  res.json(users[userIndex]);
+  const user = saveUser(res, () => users.update(userId, req.body));
+  if (!user) return;
+  audit(req, 'user.update', userTarget(user), { before, after: user });
+  revokeIfInactive(userId, user);
+  res.json(user);
 });
 
-app.delete('/api/users/:id', (req, res) => {
+app.delete('/api/users/:id', requirePermission('users:write'), (req, res) => {
   const userId = parseInt(req.params.id);
-  users = users.filter(u => u.id !== userId);
+  if (userId === req.user.id) {
+    return sendError(res, 400, 'You cannot delete your own account', { code: 'SELF_DELETE' });
+  }
+  const user = users.get(userId);
+  if (!user || !users.remove(userId)) {
+    return sendError(res, 404, 'User not found');
+  }
+  audit(req, 'user.delete', userTarget(user), { before: user });
+  revokeIfInactive(userId, null);
+  conversations.removeForUser(userId);
   res.json({ message: 'User deleted successfully' });
 });
 
+// Sessions are identified by their public ref, never by the cookie value
+const sessionView = (session, current) => ({
+  id: session.ref,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  createdAt: new Date(session.createdAt).toISOString(),
+  lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+  current: session.id === current.id
+});
+
+app.get('/api/users/:id/sessions', requirePermission('users:read'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (!users.get(userId)) {
+    return sendError(res, 404, 'User not found');
+  }
+  res.json(sessions.listForUser(userId).map(session => sessionView(session, req.session)));
+});
+
+// Revokes every session of the user, or only the one named by `:ref`
+function revokeSessions(req, res) {
+  const userId = parseInt(req.params.id);
+  const user = users.get(userId);
+  if (!user) {
+    return sendError(res, 404, 'User not found');
+  }
+  const ended = sessions.destroyForUser(userId, { ref: req.params.ref });
+  if (req.params.ref && ended.length === 0) {
+    return sendError(res, 404, 'Session not found');
+  }
+  disconnectSessions(ended);
+  audit(req, 'session.revoke', userTarget(user), { details: { sessions: ended.map(session => session.ref) } });
+  res.json({ revoked: ended.length });
+}
+
+app.delete('/api/users/:id/sessions', requirePermission('users:write'), revokeSessions);
+app.delete('/api/users/:id/sessions/:ref', requirePermission('users:write'), revokeSessions);
+
+const LOGIN_HISTORY_SIZE = 50;
+
+// Recent sign-ins and refused sign-ins, taken from the audit log
+app.get('/api/users/:id/logins', requirePermission('users:read'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (!users.get(userId)) {
+    return sendError(res, 404, 'User not found');
+  }
+  const { entries } = auditLog.query({
+    actions: ['auth.login', 'auth.loginDenied'],
+    targetType: 'user',
+    targetId: String(userId),
+    pageSize: LOGIN_HISTORY_SIZE
+  });
+  res.json(entries.map(entry => ({
+    timestamp: entry.timestamp,
+    success: entry.action === 'auth.login',
+    reason: entry.details && entry.details.reason,
+    ip: entry.ip,
+    userAgent: entry.userAgent
+  })));
+});
+
+app.get('/api/audit', requirePermission('audit:read'), (req, res) => {
+  const { options, errors } = parseAuditQuery(req.query);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid audit query', errors);
+  }
+  const { entries, total } = auditLog.query(options);
+  res.json({ entries, total, page: options.page, pageSize: options.pageSize, actions: auditLog.actions() });
+});
+
+const AUDIT_EXPORT_COLUMNS = ['id', 'timestamp', 'actorId', 'actorEmail', 'action', 'targetType', 'targetId', 'targetName', 'changes', 'ip', 'userAgent'];
+
+// Every entry matching the filters, as CSV; changes are a JSON cell
+app.get('/api/audit/export', requirePermission('audit:read'), (req, res) => {
+  const { options, errors } = parseAuditQuery(req.query);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid audit query', errors);
+  }
+  const { entries } = auditLog.query({ ...options, page: 1, pageSize: null });
+  const rows = entries.map(entry => [
+    entry.id,
+    entry.timestamp,
+    entry.actor && entry.actor.id,
+    entry.actor && entry.actor.email,
+    entry.action,
+    entry.target && entry.target.type,
+    entry.target && entry.target.id,
+    entry.target && entry.target.name,
+    entry.changes ? JSON.stringify(entry.changes) : '',
+    entry.ip,
+    entry.userAgent
+  ]);
+  res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+  res.send(toCsv([AUDIT_EXPORT_COLUMNS, ...rows]));
+});
+
+app.get('/api/chat/models', requirePermission('chat:use'), (req, res) => res.json(llm.list()));
+
+// Streams the answer as server-sent events: { token } for each piece of
+// text, { toolCall } and { toolResult } around each tool the model uses,
+// { fallback } if the chosen provider failed and another took over, then
+// { done, usage, provider, model }, or { error } if the model fails
+// part-way. Failures before the first event get a JSON error response.
+app.post('/api/chat', requirePermission('chat:use'), async (req, res) => {
+  const errors = validateChatRequest(req.body);
+  if (Object.keys(errors).length === 0) Object.assign(errors, llm.validateChoice(req.body));
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid chat request', errors);
+  }
+  if (contentLength(req.body.messages) > chatConfig.maxChars) {
+    return sendError(res, 413, `Conversation is too long (at most ${chatConfig.maxChars} characters)`);
+  }
+  const retryMs = chatLimiter.take(req.user.id);
+  if (retryMs > 0) {
+    res.set('Retry-After', String(Math.ceil(retryMs / 1000)));
+    return sendError(res, 429, 'Too many chat requests, please wait a moment');
+  }
+
+  const messages = buildContext(req.body.messages, chatConfig);
+  const controller = new AbortController();
+  let timedOut = false;
+  let clientGone = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, chatConfig.timeoutMs);
+  // Stop paying for tokens nobody will read
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientGone = true;
+      controller.abort();
+    }
+  });
+
+  // Tools run with the asking user's permissions
+  const allowed = permission => can(req.user, permission);
+  let streamed = '';
+  const send = event => {
+    if (!res.headersSent) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    }
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  try {
+    const { usage, provider, model } = await llm.stream({
+      provider: req.body.provider,
+      model: req.body.model,
+      messages,
+      tools: chatTools.definitions(allowed),
+      runTool: (name, args) => chatTools.run(allowed, name, args),
+      signal: controller.signal,
+      onToken: token => {
+        streamed += token;
+        send({ token });
+      },
+      onToolCall: call => send({ toolCall: call }),
+      onToolResult: result => send({ toolResult: result }),
+      onFallback: (err, to) => send({ fallback: { ...to, reason: err.message } })
+    });
+    chatUsage.record(req.user.id, usage);
+    send({ done: true, usage, provider, model });
+    res.end();
+  } catch (err) {
+    // Whatever was generated before a stop or failure still counts
+    if (streamed) chatUsage.record(req.user.id, estimateUsage(messages, streamed));
+    if (clientGone) return;
+    const message = timedOut ? 'The model took too long to answer' : err.message;
+    if (!res.headersSent) {
+      return sendError(res, timedOut ? 504 : 502, message);
+    }
+    send({ error: message });
+    res.end();
+  } finally {
+    clearTimeout(timeout);
+  }
+});
+
+// The caller's daily chat usage; admins can ask for everyone's totals
+app.get('/api/chat/usage', requirePermission('chat:use'), (req, res) => {
+  if (req.query.scope === 'all') {
+    if (!can(req.user, 'users:read')) {
+      return sendError(res, 403, 'Missing permission: users:read');
+    }
+    return res.json(chatUsage.totals());
+  }
+  res.json(chatUsage.list({ userId: req.user.id }));
+});
+
+// Summaries only, pinned first; ?q= searches titles and message text
+app.get('/api/conversations', requirePermission('chat:use'), (req, res) => {
+  res.json(conversations.list(req.user.id, { q: typeof req.query.q === 'string' ? req.query.q : '' }));
+});
+
+app.post('/api/conversations', requirePermission('chat:use'), (req, res) => {
+  const errors = validateConversation(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid conversation', errors);
+  }
+  if (conversations.count(req.user.id) >= MAX_CONVERSATIONS) {
+    return sendError(res, 409, `You can keep at most ${MAX_CONVERSATIONS} conversations; delete some first`, { code: 'CONVERSATION_LIMIT' });
+  }
+  const conversation = conversations.create(req.user.id, req.body);
+  audit(req, 'conversation.create', conversationTarget(conversation), { details: { messageCount: conversation.messages.length } });
+  res.status(201).json(summarise(conversation));
+});
+
+app.get('/api/conversations/:id', requirePermission('chat:use'), (req, res) => {
+  const conversation = conversations.get(req.user.id, req.params.id);
+  if (!conversation) {
+    return sendError(res, 404, 'Conversation not found');
+  }
+  res.json(conversation);
+});
+
+app.get('/api/conversations/:id/export', requirePermission('chat:use'), (req, res) => {
+  const conversation = conversations.get(req.user.id, req.params.id);
+  if (!conversation) {
+    return sendError(res, 404, 'Conversation not found');
+  }
+  const format = req.query.format || 'markdown';
+  if (!['markdown', 'json'].includes(format)) {
+    return sendValidationError(res, 'Invalid export', { format: 'Format must be one of: markdown, json' });
+  }
+  const name = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'conversation';
+  if (format === 'json') {
+    res.attachment(`${name}.json`);
+    const { userId, ...exported } = conversation;
+    return res.send(JSON.stringify(exported, null, 2));
+  }
+  res.attachment(`${name}.md`);
+  res.send(toMarkdown(conversation));
+});
+
+app.put('/api/conversations/:id', requirePermission('chat:use'), (req, res) => {
+  const errors = validateConversation(req.body, { partial: true });
+  if (Object.keys(errors).length > 0) {
+    return sendValidationError(res, 'Invalid conversation', errors);
+  }
+  const existing = conversations.get(req.user.id, req.params.id);
+  if (!existing) {
+    return sendError(res, 404, 'Conversation not found');
+  }
+  const before = { title: existing.title, pinned: existing.pinned };
+  const conversation = conversations.update(req.user.id, req.params.id, req.body);
+  const after = { title: conversation.title, pinned: conversation.pinned };
+  // The chat page saves after every answer; only renaming and pinning are
+  // worth an audit entry
+  if (before.title !== after.title || before.pinned !== after.pinned) {
+    audit(req, 'conversation.update', conversationTarget(conversation), { before, after });
+  }
+  res.json(summarise(conversation));
+});
+
+app.delete('/api/conversations/:id', requirePermission('chat:use'), (req, res) => {
+  const conversation = conversations.get(req.user.id, req.params.id);
+  if (!conversation || !conversations.remove(req.user.id, req.params.id)) {
+    return sendError(res, 404, 'Conversation not found');
+  }
+  audit(req, 'conversation.delete', conversationTarget(conversation), { details: { messageCount: conversation.messages.length } });
+  res.json({ message: 'Conversation deleted successfully' });
+});
+
+app.use(errorHandler);
+
 // WebSocket setup
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: '*' } });
+const io = new Server(server, { cors: { origin: CLIENT_ORIGIN, credentials: true } });
+
+io.use((socket, next) => {
+  const current = sessionUser(socket.handshake.headers.cookie);
+  if (!current) {
+    return next(new Error('Authentication required'));
+  }
+  if (!can(current.user, 'metrics:read')) {
+    return next(new Error('Missing permission: metrics:read'));
+  }
+  socket.data.session = current.session;
+  joinRooms(socket, current.user);
+  next();
+});
+
+// Sample once per tick and share it, so the delta-based collectors measure
+// the whole interval regardless of how many clients are connected
+function ingest(sample, options) {
+  hostRegistry.update(sample, options);
+  history.record(sample);
+  alertEngine.evaluate(sample);
+}
+
+let latestMetrics = getRealMetrics();
+ingest(latestMetrics, { source: 'local' });
+
+setInterval(() => {
+  latestMetrics = getRealMetrics();
+  ingest(latestMetrics, { source: 'local' });
+  io.emit('metrics', latestMetrics);
+  io.emit('hosts', hostRegistry.list());
+}, SAMPLE_INTERVAL_MS);
+
+setInterval(saveHistory, HISTORY_SAVE_INTERVAL_MS);
+
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    saveHistory();
+    users.close();
+    conversations.close();
+    process.exit(0);
+  });
+});
 
 io.on('connection', socket => {
   console.log('Client connected');
   
-  // Send initial metrics
-  socket.emit('metrics', getRealMetrics());
-  
-  // Send metrics every 3 seconds
-  const interval = setInterval(() => {
-    socket.emit('metrics', getRealMetrics());
-  }, 3000);
+  // Send initial metrics, hosts, alert state and rules
+  socket.emit('metrics', latestMetrics);
+  socket.emit('hosts', hostRegistry.list());
+  socket.emit('alerts', alertEngine.list());
+  socket.emit('alertRules', alertRules.list());
   
   socket.on('disconnect', () => {
     console.log('Client disconnected');
-    clearInterval(interval);
   });
 });
 
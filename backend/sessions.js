@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Server-side login sessions, referenced by an opaque id in an httpOnly
+// cookie. A session ends after `idleTimeoutMs` without a request, and never
+// outlives `maxAgeMs` however active it is. The id is as good as a password,
+// so sessions are shown to admins by a separate `ref`.
+function createSessionStore({ idleTimeoutMs, maxAgeMs }) {
+  const sessions = new Map();
+
+  const expired = (session, now) =>
+    now - session.lastSeenAt > idleTimeoutMs || now - session.createdAt > maxAgeMs;
+
+  function create(user, { ip, userAgent } = {}) {
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(32).toString('base64url'),
+      ref: crypto.randomUUID(),
+      user,
+      ip,
+      userAgent,
+      createdAt: now,
+      lastSeenAt: now
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  // Returns the live session for `id` and extends its idle timeout
+  function touch(id) {
+    const session = id && sessions.get(id);
+    if (!session) return null;
+    const now = Date.now();
+    if (expired(session, now)) {
+      sessions.delete(id);
+      return null;
+    }
+    session.lastSeenAt = now;
+    return session;
+  }
+
+  const destroy = id => sessions.delete(id);
+
+  // Live sessions belonging to the user with this id
+  function listForUser(userId) {
+    const now = Date.now();
+    return [...sessions.values()].filter(session => session.user.id === userId && !expired(session, now));
+  }
+
+  // Ends the user's sessions (or just the one with `ref`) and returns them
+  function destroyForUser(userId, { ref } = {}) {
+    const ended = [...sessions.values()].filter(session => session.user.id === userId && (!ref || session.ref === ref));
+    ended.forEach(session => sessions.delete(session.id));
+    return ended;
+  }
+
+  function prune() {
+    const now = Date.now();
+    sessions.forEach((session, id) => {
+      if (expired(session, now)) sessions.delete(id);
+    });
+  }
+
+  return { create, touch, destroy, listForUser, destroyForUser, prune };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createIdTokenVerifier, parseCookies } = require('../auth');
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' };
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(claims = {}, { kid = 'key-1', key = privateKey } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'RS256', kid, typ: 'JWT' });
+  const payload = encode({
+    iss: 'https://accounts.google.com',
+    aud: CLIENT_ID,
+    sub: '1234',
+    email: 'ops@example.com',
+    email_verified: true,
+    iat: now,
+    exp: now + 3600,
+    ...claims
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+const verifier = () => createIdTokenVerifier({ clientId: CLIENT_ID, jwks: { keys: [jwk] } });
+
+test('verifyIdToken returns the claims of a valid token', async () => {
+  const claims = await verifier()(sign());
+  assert.equal(claims.email, 'ops@example.com');
+  assert.equal(claims.sub, '1234');
+});
+
+test('verifyIdToken rejects bad signatures and claims', async () => {
+  const verify = verifier();
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  await assert.rejects(verify('not-a-token'), /Malformed ID token/);
+  await assert.rejects(verify(sign({}, { key: otherKey })), /Invalid ID token signature/);
+  await assert.rejects(verify(sign({}, { kid: 'unknown' })), /unknown key/);
+  await assert.rejects(verify(sign({ iss: 'https://evil.example.com' })), /not issued by Google/);
+  await assert.rejects(verify(sign({ aud: 'someone-else' })), /different client/);
+  await assert.rejects(verify(sign({ exp: Math.floor(Date.now() / 1000) - 600 })), /expired/);
+  await assert.rejects(verify(sign({ email_verified: false })), /verified email/);
+  await assert.rejects(verify(sign({ email_verified: undefined })), /verified email/);
+  await assert.rejects(verify(sign({ email_verified: 'true' })), /verified email/);
+});
+
+test('verifyIdToken needs a client id', async () => {
+  const verify = createIdTokenVerifier({ clientId: undefined, jwks: { keys: [jwk] } });
+  await assert.rejects(verify(sign()), /GOOGLE_CLIENT_ID/);
+});
+
+test('unknown key ids force at most one key refresh per interval', async () => {
+  const fetches = [];
+  const verify = createIdTokenVerifier({
+    clientId: CLIENT_ID,
+    jwks: async ({ refresh = false } = {}) => {
+      fetches.push(refresh);
+      return { keys: [jwk] };
+    }
+  });
+  for (let i = 0; i < 5; i += 1) {
+    await assert.rejects(verify(sign({}, { kid: `made-up-${i}` })), /unknown key/);
+  }
+  assert.equal(fetches.filter(Boolean).length, 1);
+  assert.equal((await verify(sign())).email, 'ops@example.com');
+});
+
+test('parseCookies decodes values and skips malformed pairs', () => {
+  assert.deepEqual(parseCookies('a=1; cis_session=abc%20def; broken; bad=%E0%A4%A'), { a: '1', cis_session: 'abc def' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
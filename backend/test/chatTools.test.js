@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChatTools } = require('../chatTools');
+
+const sample = {
+  hostname: 'web-1',
+  cpu: 12,
+  memory: 48,
+  disk: 70,
+  network: 40.5,
+  networkTraffic: { rxBytesPerSec: 4000000, txBytesPerSec: 1062500, rxPacketsPerSec: 900 }
+};
+
+const chatTools = createChatTools({
+  hostRegistry: {
+    get: hostname => (hostname === 'web-1' ? { hostname, metrics: sample } : null),
+    list: () => [{ hostname: 'web-1', metrics: sample }]
+  },
+  history: {
+    query: ({ host, metric }) => ({ host, metric, from: 0, to: 1, step: 60, points: [{ t: 0, value: 40 }, { t: 1, value: 41 }] })
+  },
+  alertEngine: { list: () => ({ active: [] }) },
+  users: { counts: () => ({ total: 1 }) },
+  defaultHost: 'web-1'
+});
+const everything = () => true;
+
+test('current metrics label network throughput in Mbps, not as a percentage', () => {
+  const result = chatTools.run(everything, 'get_current_metrics', {});
+  assert.equal(result.networkMbps, 40.5);
+  assert.equal(result.networkPercent, undefined);
+  assert.deepEqual(result.networkTraffic, { rxBytesPerSec: 4000000, txBytesPerSec: 1062500 });
+});
+
+test('metric history names the unit of its values', () => {
+  assert.equal(chatTools.run(everything, 'get_metric_history', { metric: 'network' }).unit, 'Mbps');
+  assert.equal(chatTools.run(everything, 'get_metric_history', { metric: 'cpu' }).unit, 'percent');
+});
+
+test('tools the user may not call, and failing tools, answer with an error', () => {
+  const metricsOnly = permission => permission === 'metrics:read';
+  assert.deepEqual(chatTools.run(metricsOnly, 'get_user_counts', {}), { error: 'Unknown tool "get_user_counts"' });
+  assert.match(chatTools.run(everything, 'get_current_metrics', { host: 'db-9' }).error, /Unknown host "db-9"/);
+  assert.ok(!chatTools.definitions(metricsOnly).some(tool => tool.name === 'get_user_counts'));
+});
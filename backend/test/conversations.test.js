@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateConversation, createConversationStore, toMarkdown } = require('../conversations');
+
+const question = { from: 'user', text: 'How busy is web-1?', timestamp: '2026-01-01T10:00:00.000Z' };
+const reply = {
+  id: 'r1',
+  from: 'bot',
+  text: 'CPU is at 42%.',
+  model: 'mock-1',
+  tools: [{ id: 'call_1', name: 'get_current_metrics', arguments: { host: 'web-1' }, result: { cpu: 42 } }],
+  stopped: false
+};
+
+test('validateConversation accepts saved chat messages', () => {
+  assert.deepEqual(validateConversation({ messages: [question, reply] }), {});
+  assert.deepEqual(validateConversation({ title: 'Renamed', pinned: true }, { partial: true }), {});
+  // The UI's own bookkeeping and unset values are dropped, not refused
+  assert.deepEqual(validateConversation({ messages: [{ ...reply, streaming: false, model: null }] }), {});
+});
+
+test('validateConversation checks the type of every message field', () => {
+  const errors = validateConversation({
+    messages: [
+      { ...question, from: 'system' },
+      { ...reply, model: 5 },
+      { ...reply, stopped: 'yes' },
+      { ...reply, tools: [{ name: 'get_current_metrics' }] },
+      { ...reply, tools: 'none' },
+      { ...question, text: 'x'.repeat(100001) },
+      'text'
+    ]
+  });
+  assert.deepEqual(Object.keys(errors), [0, 1, 2, 3, 4, 5, 6].map(index => `messages.${index}`));
+});
+
+test('validateConversation refuses unknown fields and bad titles', () => {
+  assert.deepEqual(validateConversation({ messages: [], owner: 1, title: ' ' }), {
+    owner: 'Unknown field',
+    title: 'Title must be 1 to 200 characters'
+  });
+  assert.ok(validateConversation({}).messages);
+  assert.deepEqual(validateConversation(null), { _: 'Conversation must be a JSON object' });
+});
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cis-conversations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createConversationStore({ file: path.join(dir, 'conversations.db') });
+  t.after(() => store.close());
+  return store;
+}
+
+test('the store keeps each user to their own conversations', (t) => {
+  const store = tempStore(t);
+  const mine = store.create(1, { messages: [question, { ...reply, streaming: true }] });
+  store.create(2, { messages: [question] });
+
+  assert.equal(mine.title, 'How busy is web-1?');
+  assert.equal(mine.messages[1].streaming, undefined);
+  assert.equal(store.get(2, mine.id), null);
+  assert.equal(store.update(2, mine.id, { title: 'Taken' }), null);
+  assert.equal(store.remove(2, mine.id), false);
+  assert.deepEqual(store.list(1, { q: 'busy' }).map(c => c.id), [mine.id]);
+  assert.equal(store.count(1), 1);
+
+  assert.equal(store.removeForUser(1), 1);
+  assert.equal(store.count(1), 0);
+  assert.equal(store.count(2), 1);
+});
+
+test('the store keeps messages, order and search across restarts', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cis-conversations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'conversations.db');
+  let store = createConversationStore({ file });
+  const older = store.create(1, { title: 'Disk at 100%', messages: [question] });
+  const newer = store.create(1, { messages: [question, reply] });
+
+  // Renaming and pinning keep the activity order; new messages move it up
+  store.update(1, older.id, { pinned: true });
+  assert.deepEqual(store.list(1).map(c => c.id), [older.id, newer.id]);
+  store.update(1, older.id, { pinned: false });
+  store.update(1, older.id, { messages: [question, reply, { from: 'user', text: 'And now?' }] });
+  assert.deepEqual(store.list(1).map(c => [c.id, c.messageCount]), [[older.id, 3], [newer.id, 2]]);
+
+  // The wildcard characters of LIKE are matched literally
+  assert.deepEqual(store.list(1, { q: '100%' }).map(c => c.id), [older.id]);
+  assert.deepEqual(store.list(1, { q: 'and NOW' }).map(c => c.id), [older.id]);
+  assert.deepEqual(store.list(1, { q: '42_' }), []);
+  store.close();
+
+  store = createConversationStore({ file });
+  t.after(() => store.close());
+  assert.deepEqual(store.get(1, newer.id).messages, [question, reply]);
+  assert.equal(store.get(1, older.id).title, 'Disk at 100%');
+});
+
+test('toMarkdown copes with tool results that contain fences and with missing fields', () => {
+  const markdown = toMarkdown({
+    title: 'Incident\nreview',
+    createdAt: '2026-01-01T10:00:00.000Z',
+    updatedAt: '2026-01-01T10:05:00.000Z',
+    messages: [question, { ...reply, tools: [{ id: 'c', name: 'x', result: { note: '```' } }, null] }, null]
+  });
+  assert.match(markdown, /^# Incident review\n/);
+  assert.match(markdown, /\n````json\n[\s\S]*\n````\n/);
+  assert.match(markdown, /CPU is at 42%\./);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createLlm, converse, MAX_TOOL_ROUNDS } = require('../llm');
+const { mockAnswer } = require('../llm/mock');
+
+// A local port with nothing listening on it, so requests fail at once
+function closedPort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const mock = { id: 'mock', type: 'mock', label: 'Mock', models: ['mock-1'], delayMs: 0 };
+
+async function unreachableOpenAi() {
+  return { id: 'openai', type: 'openai', label: 'OpenAI', url: `http://127.0.0.1:${await closedPort()}/v1/chat/completions`, models: ['gpt-test'] };
+}
+
+test('createLlm falls back to the mock provider when the primary cannot be reached', async () => {
+  const llm = createLlm({ providers: [await unreachableOpenAi(), mock], primary: 'openai', fallback: 'mock' });
+  const messages = [{ role: 'user', content: 'Hello?' }];
+  let fellBack = null;
+  let text = '';
+
+  const result = await llm.stream({
+    messages,
+    onToken: token => { text += token; },
+    onFallback: (err, choice) => { fellBack = { message: err.message, ...choice }; }
+  });
+
+  assert.match(fellBack.message, /Could not reach the model endpoint/);
+  assert.equal(fellBack.provider, 'mock');
+  assert.equal(result.provider, 'mock');
+  assert.equal(result.model, 'mock-1');
+  assert.equal(result.text, mockAnswer('mock-1', messages));
+  assert.equal(text, result.text);
+});
+
+test('createLlm reports the failure when there is no fallback', async () => {
+  const llm = createLlm({ providers: [await unreachableOpenAi(), mock], primary: 'openai' });
+  await assert.rejects(
+    llm.stream({ messages: [{ role: 'user', content: 'Hello?' }], onToken: () => {} }),
+    /Could not reach the model endpoint/
+  );
+});
+
+test('the mock provider calls a matching tool and answers from its result', async () => {
+  const llm = createLlm({ providers: [mock] });
+  const calls = [];
+  const result = await llm.stream({
+    messages: [{ role: 'user', content: 'Any alerts right now?' }],
+    tools: [{ name: 'get_active_alerts', description: 'Active alerts', parameters: { type: 'object', properties: {} } }],
+    runTool: async (name, args) => {
+      calls.push({ name, args });
+      return { active: [] };
+    },
+    onToken: () => {}
+  });
+  assert.deepEqual(calls, [{ name: 'get_active_alerts', args: {} }]);
+  assert.match(result.text, /Here is what the tools returned: \{"active":\[\]\}/);
+});
+
+test('createLlm checks the configured providers and choices', () => {
+  assert.throws(() => createLlm({ providers: [] }), /No LLM providers/);
+  assert.throws(() => createLlm({ providers: [{ ...mock, type: 'magic' }] }), /Unknown LLM provider type/);
+  assert.throws(() => createLlm({ providers: [mock], fallback: 'ollama' }), /Unknown LLM provider "ollama"/);
+  const llm = createLlm({ providers: [mock] });
+  assert.deepEqual(llm.validateChoice({ provider: 'mock', model: 'mock-1' }), {});
+  assert.ok(llm.validateChoice({ model: 'gpt-4' }).model);
+});
+
+// A model that asks for a tool on every turn, offered tools or not
+function toolHungryProvider(text = '') {
+  const requests = [];
+  return {
+    requests,
+    stream: async ({ messages, tools }) => {
+      requests.push({ tools });
+      return {
+        text,
+        usage: { promptTokens: 1, completionTokens: 1, estimated: false },
+        toolCalls: [{ id: `call_${messages.length}`, name: 'list_hosts', arguments: {} }]
+      };
+    }
+  };
+}
+
+const converseOptions = runs => ({
+  model: 'm',
+  messages: [{ role: 'user', content: 'Hosts?' }],
+  tools: [{ name: 'list_hosts', description: 'Hosts', parameters: { type: 'object', properties: {} } }],
+  runTool: async () => {
+    runs.push(1);
+    return [];
+  },
+  onToken: () => {},
+  onToolCall: () => {},
+  onToolResult: () => {}
+});
+
+test('converse stops a model that keeps calling tools', async () => {
+  const provider = toolHungryProvider();
+  const runs = [];
+  await assert.rejects(converse(provider, converseOptions(runs)), /kept calling tools/);
+  assert.equal(provider.requests.length, MAX_TOOL_ROUNDS);
+  assert.equal(runs.length, MAX_TOOL_ROUNDS - 1);
+  assert.equal(provider.requests[MAX_TOOL_ROUNDS - 1].tools, undefined);
+});
+
+test('converse returns the text so far when the last round still calls tools', async () => {
+  const provider = toolHungryProvider('Checking. ');
+  const runs = [];
+  const result = await converse(provider, converseOptions(runs));
+  assert.equal(result.text, 'Checking. '.repeat(MAX_TOOL_ROUNDS));
+  assert.equal(result.usage.promptTokens, MAX_TOOL_ROUNDS);
+  assert.equal(runs.length, MAX_TOOL_ROUNDS - 1);
+});
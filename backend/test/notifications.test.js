@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createNotifier, validateChannel } = require('../notifications');
+const { createSmtpReceiver } = require('../mockSmtp');
+
+const webhook = { name: 'Ops', type: 'webhook', config: { url: 'http://localhost:9/hook' } };
+const email = { name: 'Mail', type: 'email', config: { host: 'smtp.example.com', from: 'ops@example.com', to: ['a@example.com'] } };
+
+test('validateChannel accepts complete channels', () => {
+  assert.deepEqual(validateChannel(webhook), {});
+  assert.deepEqual(validateChannel(email), {});
+});
+
+test('validateChannel reports missing and unknown fields', () => {
+  assert.deepEqual(Object.keys(validateChannel({ type: 'pager', extra: 1 })).sort(), ['extra', 'name', 'type']);
+  assert.ok(validateChannel({ ...webhook, config: { url: 'ftp://example.com' } })['config.url']);
+  assert.ok(validateChannel({ ...email, config: { ...email.config, port: 70000 } })['config.port']);
+  assert.ok(validateChannel({ ...webhook, events: ['exploded'] }).events);
+});
+
+test('validateChannel only accepts email addresses as sender and recipients', () => {
+  const withConfig = config => validateChannel({ ...email, config: { ...email.config, ...config } });
+  assert.deepEqual(withConfig({ from: 'CIS Ops <ops@example.com>', to: ['a@example.com', 'On call <b@example.com>'] }), {});
+  assert.ok(withConfig({ to: ['a@example.com', 'not an address'] })['config.to']);
+  assert.ok(withConfig({ to: [42] })['config.to']);
+  assert.ok(withConfig({ from: 'ops' })['config.from']);
+});
+
+test('validateChannel checks a changed type against the existing config', () => {
+  const errors = validateChannel({ type: 'email' }, { partial: true, existing: webhook });
+  assert.deepEqual(Object.keys(errors).sort(), ['config.from', 'config.host', 'config.to']);
+  assert.deepEqual(validateChannel({ type: 'email', config: email.config }, { partial: true, existing: webhook }), {});
+  assert.deepEqual(validateChannel({ name: 'Renamed' }, { partial: true, existing: webhook }), {});
+});
+
+// A local receiver that answers with each status in turn, then 200
+function startReceiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+  }));
+}
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cis-notify-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'channels.json');
+}
+
+test('a test notification is signed and tried once', async (t) => {
+  const receiver = await startReceiver([500]);
+  t.after(() => receiver.server.close());
+  const notifier = createNotifier({ file: tempFile(t), baseDelayMs: 1 });
+  const channel = notifier.create({ ...webhook, config: { url: receiver.url, secret: 's3cret' } });
+
+  const entry = await notifier.sendTest(channel.id);
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.attempts, 1);
+  assert.equal(receiver.requests.length, 1);
+
+  const { headers, body } = receiver.requests[0];
+  const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['x-cis-timestamp']}.${JSON.stringify(body)}`).digest('hex');
+  assert.equal(headers['x-cis-signature'], `sha256=${expected}`);
+  assert.equal(body.event, 'alert.test');
+});
+
+test('alert deliveries are retried until the receiver accepts them', async (t) => {
+  const receiver = await startReceiver([503, 503]);
+  t.after(() => receiver.server.close());
+  let delivered;
+  const done = new Promise(resolve => { delivered = resolve; });
+  const notifier = createNotifier({ file: tempFile(t), maxAttempts: 3, baseDelayMs: 1, onDelivery: delivered });
+  notifier.create({ ...webhook, config: { url: receiver.url } });
+
+  notifier.notify({ id: 'a1', ruleId: 'r1', name: 'CPU high', metric: 'cpu', comparator: '>', threshold: 80, value: 95, severity: 'warning', hostname: 'web-1', state: 'firing' });
+  const entry = await done;
+  assert.equal(entry.status, 'delivered');
+  assert.equal(entry.attempts, 3);
+  assert.deepEqual(notifier.deliveries().map(delivery => delivery.id), [entry.id]);
+});
+
+// An email channel pointed at a local SMTP receiver
+async function startMailbox(t, { failFirst = 0 } = {}) {
+  const messages = [];
+  const server = await createSmtpReceiver({ failFirst, onMessage: message => messages.push(message) });
+  t.after(() => server.close());
+  const channel = { ...email, config: { ...email.config, host: '127.0.0.1', port: server.address().port } };
+  return { messages, channel };
+}
+
+const alert = { id: 'a2', ruleId: 'r2', name: 'Disk full', metric: 'disk', comparator: '>', threshold: 90, value: 97, severity: 'critical', hostname: 'db-1', state: 'firing' };
+
+test('email notifications are delivered over SMTP', async (t) => {
+  const mailbox = await startMailbox(t);
+  const notifier = createNotifier({ file: tempFile(t), baseDelayMs: 1 });
+  const channel = notifier.create(mailbox.channel);
+
+  const entry = await notifier.sendTest(channel.id);
+  assert.equal(entry.status, 'delivered', entry.error);
+  assert.equal(mailbox.messages.length, 1);
+  const [message] = mailbox.messages;
+  assert.equal(message.from, 'ops@example.com');
+  assert.deepEqual(message.to, ['a@example.com']);
+  assert.match(message.data, /Subject: .*Test notification/);
+  assert.match(message.data, /Severity: info/);
+});
+
+test('email deliveries are retried after temporary SMTP failures', async (t) => {
+  const mailbox = await startMailbox(t, { failFirst: 2 });
+  let delivered;
+  const done = new Promise(resolve => { delivered = resolve; });
+  const notifier = createNotifier({ file: tempFile(t), maxAttempts: 3, baseDelayMs: 1, onDelivery: delivered });
+  notifier.create(mailbox.channel);
+
+  notifier.notify(alert);
+  const entry = await done;
+  assert.equal(entry.status, 'delivered', entry.error);
+  assert.equal(entry.attempts, 3);
+  assert.equal(mailbox.messages.length, 1);
+  assert.match(mailbox.messages[0].data, /Host: db-1/);
+});
+
+test('email deliveries fail once the attempts run out', async (t) => {
+  const mailbox = await startMailbox(t, { failFirst: 5 });
+  const notifier = createNotifier({ file: tempFile(t), baseDelayMs: 1 });
+  const channel = notifier.create(mailbox.channel);
+
+  const entry = await notifier.sendTest(channel.id);
+  assert.equal(entry.status, 'failed');
+  assert.match(entry.error, /451/);
+  assert.equal(mailbox.messages.length, 0);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUserStore, parseUserQuery, toCsv, parseImport, planImport, summarizeImport } = require('../users');
+
+const EXPORT_COLUMNS = ['id', 'name', 'email', 'role', 'status', 'lastLogin', 'createdAt'];
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cis-users-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createUserStore({ file: path.join(dir, 'users.db') });
+  t.after(() => store.close());
+  store.create({ name: 'Ada Admin', email: 'Ada@Example.com', role: 'admin', status: 'active' });
+  store.create({ name: 'Bob User', email: 'bob@example.com', role: 'user', status: 'inactive' });
+  return store;
+}
+
+const exportCsv = store => toCsv([
+  EXPORT_COLUMNS,
+  ...store.search({ ...parseUserQuery({}).options, page: 1, pageSize: null }).users.map(user => EXPORT_COLUMNS.map(column => user[column]))
+]);
+
+test('re-importing an unchanged export changes nothing', (t) => {
+  const store = tempStore(t);
+  const plan = planImport(store, parseImport('csv', exportCsv(store)), { actorId: null });
+  assert.deepEqual(summarizeImport(plan), { create: 0, update: 0, unchanged: 2, reject: 0 });
+});
+
+test('re-importing with different email, role or status casing changes nothing', (t) => {
+  const store = tempStore(t);
+  const records = parseImport('csv', exportCsv(store)).map(record => ({
+    ...record,
+    email: ` ${record.email.toUpperCase()} `,
+    role: record.role.toUpperCase(),
+    status: record.status[0].toUpperCase() + record.status.slice(1)
+  }));
+  const plan = planImport(store, records, { actorId: null });
+  assert.deepEqual(plan.map(entry => entry.action), ['unchanged', 'unchanged']);
+});
+
+test('imports report real changes and normalise role casing', (t) => {
+  const store = tempStore(t);
+  const plan = planImport(store, [
+    { email: 'BOB@example.com', role: 'Moderator' },
+    { email: 'carol@example.com', name: 'Carol', role: 'USER' },
+    { email: 'bob@EXAMPLE.com', status: 'active' }
+  ], { actorId: null });
+  assert.deepEqual(plan.map(entry => [entry.action, entry.changes || entry.errors]), [
+    ['update', { role: 'moderator' }],
+    ['create', { email: 'carol@example.com', name: 'Carol', role: 'user' }],
+    ['reject', { email: 'Email appears more than once in this file' }]
+  ]);
+});
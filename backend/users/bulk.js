@@ -0,0 +1,169 @@
+const { parseCsv, unguardField } = require('./csv');
+const { validateUser } = require('./common');
+const { ROLES } = require('../permissions');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 5000;
+// Columns of an export that describe the record rather than set it; they are
+// skipped so an exported file can be edited and imported again
+const IGNORED_COLUMNS = ['id', 'lastLogin', 'createdAt', 'updatedAt', 'deletedAt'];
+const IMPORT_COLUMNS = ['name', 'email', 'role', 'status'];
+// Role and status are matched ignoring case, like emails, so "Admin" in a
+// hand-edited file imports as "admin"
+const LOWERCASE_COLUMNS = ['role', 'status'];
+
+const BULK_ACTIONS = ['activate', 'deactivate', 'setRole', 'delete'];
+const MAX_BULK_IDS = 1000;
+
+// Turns an uploaded file into plain records; throws if the file is malformed
+function parseImport(format, content) {
+  if (format === 'json') {
+    let records;
+    try {
+      records = JSON.parse(content);
+    } catch (err) {
+      throw new Error('File is not valid JSON');
+    }
+    if (!Array.isArray(records)) throw new Error('A JSON import must be an array of users');
+    return records;
+  }
+
+  const [header, ...rows] = parseCsv(content);
+  if (!header) throw new Error('The CSV file is empty');
+  const columns = header.map(column => column.trim());
+  const unknown = columns.filter(column => !IMPORT_COLUMNS.includes(column) && !IGNORED_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown CSV column(s): ${unknown.join(', ')}. Expected: ${IMPORT_COLUMNS.join(', ')}`);
+  }
+  if (!columns.includes('email')) throw new Error('The CSV file needs an email column');
+  // Empty cells leave the field unset, so updates only touch filled-in columns
+  return rows.map(row => {
+    const record = {};
+    columns.forEach((column, i) => {
+      const value = row[i] === undefined ? '' : unguardField(row[i]).trim();
+      if (value !== '') record[column] = value;
+    });
+    return record;
+  });
+}
+
+// Decides what importing each record would do, matching existing users by
+// email: create, update, unchanged or reject (with field errors). `actorId`
+// is the importing admin, who cannot change their own role or status.
+function planImport(store, records, { actorId }) {
+  const seen = new Set();
+  return records.map((input, index) => {
+    const row = index + 1;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { row, action: 'reject', errors: { _: 'Row must be an object' } };
+    }
+    const record = {};
+    Object.keys(input).forEach(field => {
+      if (IGNORED_COLUMNS.includes(field)) return;
+      const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+      record[field] = LOWERCASE_COLUMNS.includes(field) && typeof value === 'string' ? value.toLowerCase() : value;
+    });
+
+    const email = typeof record.email === 'string' ? record.email : '';
+    if (email && seen.has(email.toLowerCase())) {
+      return { row, email, action: 'reject', errors: { email: 'Email appears more than once in this file' } };
+    }
+    seen.add(email.toLowerCase());
+
+    const existing = email ? store.findByEmail(email) : null;
+    const errors = validateUser(record, { partial: Boolean(existing) });
+    if (existing && existing.id === actorId && ((record.role && record.role !== existing.role) || record.status === 'inactive')) {
+      errors._ = 'You cannot change your own role or status';
+    }
+    if (Object.keys(errors).length > 0) {
+      return { row, email, action: 'reject', errors };
+    }
+    if (!existing) {
+      return { row, email, action: 'create', changes: record };
+    }
+
+    // The store treats emails that differ only in case as the same address
+    const changes = {};
+    Object.keys(record).forEach(field => {
+      const same = field === 'email' ? email.toLowerCase() === existing.email.toLowerCase() : record[field] === existing[field];
+      if (!same) changes[field] = record[field];
+    });
+    return { row, email, id: existing.id, action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', changes };
+  });
+}
+
+// `onChange(before, after)` is called for every user written. A row the
+// store refuses (say, an address taken since the plan was made) is marked
+// rejected with the reason and the rest of the file is still imported.
+function applyImport(store, plan, { onChange = () => {} } = {}) {
+  plan.forEach(entry => {
+    try {
+      if (entry.action === 'create') {
+        const user = store.create(entry.changes);
+        entry.id = user.id;
+        onChange(null, user);
+      }
+      if (entry.action === 'update') {
+        const before = store.get(entry.id);
+        onChange(before, store.update(entry.id, entry.changes));
+      }
+    } catch (err) {
+      entry.action = 'reject';
+      entry.errors = { _: err.message };
+    }
+  });
+}
+
+const summarizeImport = plan => plan.reduce(
+  (summary, entry) => ({ ...summary, [entry.action]: summary[entry.action] + 1 }),
+  { create: 0, update: 0, unchanged: 0, reject: 0 }
+);
+
+// Returns an object of field -> message; empty when the request is valid
+function validateBulk(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { _: 'Request must be a JSON object' };
+  }
+  const errors = {};
+  const { ids, action, role } = input;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS || ids.some(id => !Number.isInteger(id))) {
+    errors.ids = `ids must be a list of 1 to ${MAX_BULK_IDS} user ids`;
+  }
+  if (!BULK_ACTIONS.includes(action)) {
+    errors.action = `Action must be one of: ${BULK_ACTIONS.join(', ')}`;
+  }
+  if (action === 'setRole' && !ROLES.includes(role)) {
+    errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  return errors;
+}
+
+// Applies one action to each user; `actorId` is skipped like in planImport.
+// `onChange(before, after)` is called for every user written (after is null
+// for deletions).
+function applyBulk(store, { ids, action, role }, { actorId, onChange = () => {} }) {
+  return ids.map(id => {
+    if (id === actorId) return { id, ok: false, error: 'You cannot change your own account in bulk' };
+    const before = store.get(id);
+    if (!before) return { id, ok: false, error: 'User not found' };
+    if (action === 'delete') {
+      store.remove(id);
+      onChange(before, null);
+    } else {
+      onChange(before, store.update(id, action === 'setRole' ? { role } : { status: action === 'activate' ? 'active' : 'inactive' }));
+    }
+    return { id, ok: true };
+  });
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  BULK_ACTIONS,
+  parseImport,
+  planImport,
+  applyImport,
+  summarizeImport,
+  validateBulk,
+  applyBulk
+};
@@ -0,0 +1,109 @@
+const { ROLES } = require('../permissions');
+
+// Fields the store writes; id and the timestamps are managed by the store
+const FIELDS = ['name', 'email', 'role', 'status', 'lastLogin'];
+const DEFAULTS = { role: 'user', status: 'active', lastLogin: null };
+
+// Fields an API client may set; the rest are recorded by the server
+const EDITABLE_FIELDS = ['name', 'email', 'role', 'status'];
+const READ_ONLY_FIELDS = ['id', 'lastLogin', 'createdAt', 'updatedAt', 'deletedAt'];
+const STATUSES = ['active', 'inactive'];
+
+// Deliberately loose: one @, no whitespace, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns an object of field -> message; empty when the user is valid.
+// With `partial`, missing fields are allowed (for updates).
+function validateUser(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { _: 'User must be a JSON object' };
+  }
+  const errors = {};
+  Object.keys(input).forEach(field => {
+    if (READ_ONLY_FIELDS.includes(field)) errors[field] = 'Field is read-only';
+    else if (!EDITABLE_FIELDS.includes(field)) errors[field] = 'Unknown field';
+  });
+
+  const required = field => input[field] !== undefined || !partial;
+
+  if (required('name') && !(typeof input.name === 'string' && input.name.trim() && input.name.trim().length <= 100)) {
+    errors.name = 'Name is required (max 100 characters)';
+  }
+  if (required('email') && !(typeof input.email === 'string' && EMAIL_PATTERN.test(input.email.trim()) && input.email.length <= 254)) {
+    errors.email = 'A valid email address is required';
+  }
+  if (input.role !== undefined && !ROLES.includes(input.role)) {
+    errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (input.status !== undefined && !STATUSES.includes(input.status)) {
+    errors.status = `Status must be one of: ${STATUSES.join(', ')}`;
+  }
+
+  return errors;
+}
+
+const SORT_FIELDS = ['name', 'email', 'role', 'status', 'lastLogin', 'createdAt'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Turns GET /api/users query parameters into search options. `role` and
+// `status` take comma-separated lists. Returns { options, errors }, where
+// errors is field -> message and empty when the query is valid.
+function parseUserQuery(query) {
+  const errors = {};
+
+  const list = (field, allowed) => {
+    if (query[field] === undefined || query[field] === '') return [];
+    const values = String(query[field]).split(',').map(value => value.trim()).filter(Boolean);
+    if (values.some(value => !allowed.includes(value))) {
+      errors[field] = `Must be a comma-separated list of: ${allowed.join(', ')}`;
+    }
+    return values;
+  };
+
+  const integer = (field, fallback, max = Infinity) => {
+    if (query[field] === undefined || query[field] === '') return fallback;
+    const value = Number(query[field]);
+    if (!Number.isSafeInteger(value) || value < 1 || value > max) {
+      errors[field] = max === Infinity ? 'Must be a positive whole number' : `Must be a whole number between 1 and ${max}`;
+    }
+    return value;
+  };
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q.length > 100) errors.q = 'Search must be at most 100 characters';
+  const sort = query.sort || 'name';
+  if (!SORT_FIELDS.includes(sort)) errors.sort = `Sort must be one of: ${SORT_FIELDS.join(', ')}`;
+  const order = query.order || 'asc';
+  if (!['asc', 'desc'].includes(order)) errors.order = 'Order must be asc or desc';
+
+  const options = {
+    q,
+    roles: list('role', ROLES),
+    statuses: list('status', STATUSES),
+    sort,
+    order,
+    page: integer('page', 1),
+    pageSize: integer('pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+  };
+  return { options, errors };
+}
+
+function pickFields(input) {
+  const user = {};
+  FIELDS.forEach(field => {
+    if (input[field] !== undefined) user[field] = input[field];
+  });
+  if (typeof user.name === 'string') user.name = user.name.trim();
+  if (typeof user.email === 'string') user.email = user.email.trim();
+  return user;
+}
+
+// Thrown by create/update; routes turn it into a 409
+function duplicateEmail(email) {
+  const error = new Error(`A user with email ${email} already exists`);
+  error.code = 'DUPLICATE_EMAIL';
+  return error;
+}
+
+module.exports = { EMAIL_PATTERN, FIELDS, DEFAULTS, STATUSES, SORT_FIELDS, validateUser, parseUserQuery, pickFields, duplicateEmail };
@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no data
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Spreadsheets execute cells starting with these, so exported values are
+// prefixed with a quote to keep them inert
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsv = rows => rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+
+// Undoes formatField's quote, so an exported file imports unchanged
+const unguardField = text => (/^'/.test(text) && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text);
+
+module.exports = { parseCsv, toCsv, unguardField };
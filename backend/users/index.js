@@ -0,0 +1,21 @@
+const { createSqliteUserStore } = require('./sqliteStore');
+const { createJsonUserStore } = require('./jsonStore');
+const { validateUser, parseUserQuery, STATUSES } = require('./common');
+const bulk = require('./bulk');
+const { toCsv } = require('./csv');
+
+const DRIVERS = { sqlite: createSqliteUserStore, json: createJsonUserStore };
+
+// User repository. Both drivers expose list/search/counts/get/findByEmail/
+// create/update/remove/close; remove is a soft delete, and create/update
+// throw an error with code DUPLICATE_EMAIL when another live user has the
+// same address. findByEmail(email, { includeDeleted }) falls back to the
+// most recently deleted user with that address.
+function createUserStore({ driver = 'sqlite', file }) {
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown user store "${driver}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return DRIVERS[driver]({ file });
+}
+
+module.exports = { createUserStore, validateUser, parseUserQuery, STATUSES, toCsv, ...bulk };
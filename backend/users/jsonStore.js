@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULTS, pickFields, duplicateEmail } = require('./common');
+
+// Applied in order to the parsed file; `version` records how many have run.
+// Keep in step with the SQLite migrations.
+const MIGRATIONS = [
+  data => {
+    data.nextId = 1;
+    data.users = [];
+  }
+];
+
+const sameEmail = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Same interface as the SQLite store, kept in a JSON file. Meant for
+// development: every write rewrites the whole file.
+function createJsonUserStore({ file }) {
+  let data = { version: 0 };
+  if (fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  if (data.version < MIGRATIONS.length) {
+    MIGRATIONS.slice(data.version).forEach(up => up(data));
+    data.version = MIGRATIONS.length;
+    save();
+  }
+
+  const live = () => data.users.filter(user => !user.deletedAt);
+
+  function assertUniqueEmail(email, id) {
+    if (live().some(user => user.id !== id && sameEmail(user.email, email))) throw duplicateEmail(email);
+  }
+
+  const list = ({ includeDeleted = false } = {}) => (includeDeleted ? data.users : live()).map(user => ({ ...user }));
+
+  function search({ q, roles, statuses, sort, order, page, pageSize }) {
+    const needle = q.toLowerCase();
+    const direction = order === 'desc' ? -1 : 1;
+    // Text columns sort case-insensitively and missing values first, as in SQLite
+    const key = user => (typeof user[sort] === 'string' ? user[sort].toLowerCase() : '');
+    const matches = live()
+      .filter(user => !needle || user.name.toLowerCase().includes(needle) || user.email.toLowerCase().includes(needle))
+      .filter(user => roles.length === 0 || roles.includes(user.role))
+      .filter(user => statuses.length === 0 || statuses.includes(user.status))
+      .sort((a, b) => (key(a) < key(b) ? -direction : key(a) > key(b) ? direction : a.id - b.id));
+    const start = pageSize ? (page - 1) * pageSize : 0;
+    const end = pageSize ? start + pageSize : undefined;
+    return { users: matches.slice(start, end).map(user => ({ ...user })), total: matches.length };
+  }
+
+  function counts() {
+    const result = { total: 0, roles: {}, statuses: {} };
+    live().forEach(user => {
+      result.total++;
+      result.roles[user.role] = (result.roles[user.role] || 0) + 1;
+      result.statuses[user.status] = (result.statuses[user.status] || 0) + 1;
+    });
+    return result;
+  }
+
+  function get(id) {
+    const user = live().find(u => u.id === id);
+    return user ? { ...user } : null;
+  }
+
+  function findByEmail(email, { includeDeleted = false } = {}) {
+    const deleted = () => data.users
+      .filter(u => u.deletedAt && sameEmail(u.email, email))
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))[0];
+    const user = live().find(u => sameEmail(u.email, email)) || (includeDeleted && deleted());
+    return user ? { ...user } : null;
+  }
+
+  function create(input) {
+    const now = new Date().toISOString();
+    const user = { id: data.nextId, ...DEFAULTS, ...pickFields(input), createdAt: now, updatedAt: now, deletedAt: null };
+    assertUniqueEmail(user.email, user.id);
+    data.nextId++;
+    data.users.push(user);
+    save();
+    return { ...user };
+  }
+
+  function update(id, input) {
+    const user = live().find(u => u.id === id);
+    if (!user) return null;
+    const next = { ...user, ...pickFields(input), updatedAt: new Date().toISOString() };
+    assertUniqueEmail(next.email, id);
+    Object.assign(user, next);
+    save();
+    return { ...user };
+  }
+
+  function remove(id) {
+    const user = live().find(u => u.id === id);
+    if (!user) return false;
+    user.deletedAt = user.updatedAt = new Date().toISOString();
+    save();
+    return true;
+  }
+
+  const close = () => {};
+
+  return { list, search, counts, get, findByEmail, create, update, remove, close };
+}
+
+module.exports = { createJsonUserStore };
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DEFAULTS, pickFields, duplicateEmail } = require('./common');
+
+// Applied in order; PRAGMA user_version records how many have run.
+// Never edit a released migration, append a new one instead.
+const MIGRATIONS = [
+  db => db.exec(`
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      role TEXT NOT NULL,
+      status TEXT NOT NULL,
+      last_login TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      deleted_at TEXT
+    );
+    -- Deleted users free up their address
+    CREATE UNIQUE INDEX users_email_unique ON users (email COLLATE NOCASE) WHERE deleted_at IS NULL;
+  `)
+];
+
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  MIGRATIONS.slice(version).forEach((up, index) => {
+    db.transaction(() => {
+      up(db);
+      db.pragma(`user_version = ${version + index + 1}`);
+    })();
+  });
+}
+
+const SORT_COLUMNS = {
+  name: 'name COLLATE NOCASE',
+  email: 'email COLLATE NOCASE',
+  role: 'role',
+  status: 'status',
+  lastLogin: 'last_login',
+  createdAt: 'created_at'
+};
+
+const escapeLike = value => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+const toUser = row => row && {
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  role: row.role,
+  status: row.status,
+  lastLogin: row.last_login,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  deletedAt: row.deleted_at
+};
+
+function createSqliteUserStore({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+
+  const statements = {
+    list: db.prepare('SELECT * FROM users WHERE deleted_at IS NULL ORDER BY id'),
+    listAll: db.prepare('SELECT * FROM users ORDER BY id'),
+    counts: db.prepare('SELECT role, status, COUNT(*) AS count FROM users WHERE deleted_at IS NULL GROUP BY role, status'),
+    get: db.prepare('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL'),
+    findByEmail: db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE AND deleted_at IS NULL'),
+    findDeletedByEmail: db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE AND deleted_at IS NOT NULL ORDER BY deleted_at DESC LIMIT 1'),
+    insert: db.prepare(`
+      INSERT INTO users (name, email, role, status, last_login, created_at, updated_at)
+      VALUES (@name, @email, @role, @status, @lastLogin, @now, @now)
+    `),
+    update: db.prepare(`
+      UPDATE users SET name = @name, email = @email, role = @role, status = @status,
+        last_login = @lastLogin, updated_at = @now
+      WHERE id = @id AND deleted_at IS NULL
+    `),
+    remove: db.prepare('UPDATE users SET deleted_at = @now, updated_at = @now WHERE id = @id AND deleted_at IS NULL')
+  };
+
+  // SQLite reports the unique index, we report the address
+  function write(statement, params) {
+    try {
+      return statement.run(params);
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') throw duplicateEmail(params.email);
+      throw err;
+    }
+  }
+
+  const list = ({ includeDeleted = false } = {}) =>
+    (includeDeleted ? statements.listAll : statements.list).all().map(toUser);
+  // One page of live users matching the filters, plus how many match in total.
+  // A null pageSize returns every match.
+  function search({ q, roles, statuses, sort, order, page, pageSize }) {
+    const where = ['deleted_at IS NULL'];
+    const params = {};
+    if (q) {
+      where.push("(name LIKE @q ESCAPE '\\' OR email LIKE @q ESCAPE '\\')");
+      params.q = `%${escapeLike(q)}%`;
+    }
+    [['role', roles], ['status', statuses]].forEach(([column, values]) => {
+      if (values.length === 0) return;
+      where.push(`${column} IN (${values.map((value, i) => `@${column}${i}`).join(', ')})`);
+      values.forEach((value, i) => { params[`${column}${i}`] = value; });
+    });
+
+    const clause = where.join(' AND ');
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM users WHERE ${clause}`).get(params).count;
+    const rows = db.prepare(`
+      SELECT * FROM users WHERE ${clause}
+      ORDER BY ${SORT_COLUMNS[sort]} ${order === 'desc' ? 'DESC' : 'ASC'}, id
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: pageSize || -1, offset: pageSize ? (page - 1) * pageSize : 0 });
+    return { users: rows.map(toUser), total };
+  }
+
+  // Live users per role and per status, for the dashboard's summary cards
+  function counts() {
+    const result = { total: 0, roles: {}, statuses: {} };
+    statements.counts.all().forEach(({ role, status, count }) => {
+      result.total += count;
+      result.roles[role] = (result.roles[role] || 0) + count;
+      result.statuses[status] = (result.statuses[status] || 0) + count;
+    });
+    return result;
+  }
+
+  const get = id => toUser(statements.get.get(id)) || null;
+  const findByEmail = (email, { includeDeleted = false } = {}) => toUser(statements.findByEmail.get(email)) ||
+    (includeDeleted && toUser(statements.findDeletedByEmail.get(email))) || null;
+
+  function create(input) {
+    const { lastInsertRowid } = write(statements.insert, { ...DEFAULTS, ...pickFields(input), now: new Date().toISOString() });
+    return get(Number(lastInsertRowid));
+  }
+
+  function update(id, input) {
+    const existing = get(id);
+    if (!existing) return null;
+    write(statements.update, { ...existing, ...pickFields(input), id, now: new Date().toISOString() });
+    return get(id);
+  }
+
+  const remove = id => statements.remove.run({ id, now: new Date().toISOString() }).changes > 0;
+  const close = () => db.close();
+
+  return { list, search, counts, get, findByEmail, create, update, remove, close };
+}
+
+module.exports = { createSqliteUserStore };
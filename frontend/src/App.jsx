@@ -5,9 +5,11 @@ import { WebsocketProvider } from './context/WebsocketContext.jsx';
 import LoginPage from './pages/LoginPage.jsx';
 import ChatPage from './pages/ChatPage.jsx';
 import Dashboard from './pages/Dashboard.jsx';
+import FleetPage from './pages/FleetPage.jsx';
 
 function PrivateRoute({ children }) {
-  const { user } = useAuthContext();
+  const { user, loading } = useAuthContext();
+  if (loading) return null;
   return user ? children : <Navigate to="/login" />;
 }
 
@@ -20,6 +22,8 @@ export default function App() {
             <Route path="/login" element={<LoginPage />} />
             <Route path="/chat" element={<PrivateRoute><ChatPage /></PrivateRoute>} />
             <Route path="/dashboard" element={<PrivateRoute><Dashboard /></PrivateRoute>} />
+            <Route path="/dashboard/:hostname" element={<PrivateRoute><Dashboard /></PrivateRoute>} />
+            <Route path="/fleet" element={<PrivateRoute><FleetPage /></PrivateRoute>} />
             <Route path="/" element={<Navigate to="/login" />} />
           </Routes>
         </BrowserRouter>
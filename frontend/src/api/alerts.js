@@ -0,0 +1,42 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:4000/api';
+
+export const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+export const fetchAlerts = () => axios.get(`${API_URL}/alerts`).then(res => res.data);
+export const fetchAlertRules = () => axios.get(`${API_URL}/alert-rules`).then(res => res.data);
+export const createAlertRule = rule => axios.post(`${API_URL}/alert-rules`, rule).then(res => res.data);
+export const updateAlertRule = (id, rule) => axios.put(`${API_URL}/alert-rules/${id}`, rule).then(res => res.data);
+export const deleteAlertRule = id => axios.delete(`${API_URL}/alert-rules/${id}`).then(res => res.data);
+export const testAlertRule = rule =>
+  (rule.id
+    ? axios.post(`${API_URL}/alert-rules/${rule.id}/test`)
+    : axios.post(`${API_URL}/alert-rules/test`, rule)
+  ).then(res => res.data);
+
+// Most severe enabled rule the value currently breaches, ignoring duration
+export function breachedSeverity(rules, metric, value) {
+  if (typeof value !== 'number') return null;
+  return rules
+    .filter(rule => rule.enabled && rule.metric === metric && COMPARATORS[rule.comparator](value, rule.threshold))
+    .reduce((worst, rule) => (
+      worst === null || SEVERITIES.indexOf(rule.severity) > SEVERITIES.indexOf(worst) ? rule.severity : worst
+    ), null);
+}
+
+export const CHANNEL_TYPES = ['webhook', 'slack', 'teams', 'email'];
+
+export const fetchNotificationChannels = () => axios.get(`${API_URL}/notification-channels`).then(res => res.data);
+export const createNotificationChannel = channel => axios.post(`${API_URL}/notification-channels`, channel).then(res => res.data);
+export const updateNotificationChannel = (id, channel) => axios.put(`${API_URL}/notification-channels/${id}`, channel).then(res => res.data);
+export const deleteNotificationChannel = id => axios.delete(`${API_URL}/notification-channels/${id}`).then(res => res.data);
+export const testNotificationChannel = id => axios.post(`${API_URL}/notification-channels/${id}/test`).then(res => res.data);
+export const fetchNotificationDeliveries = () => axios.get(`${API_URL}/notification-deliveries`).then(res => res.data);
@@ -0,0 +1,4 @@
+import axios from 'axios';
+export const fetchAudit = params => axios.get('http://localhost:4000/api/audit', { params }).then(res => res.data);
+export const exportAudit = params =>
+  axios.get('http://localhost:4000/api/audit/export', { params, responseType: 'blob' }).then(res => res.data);
@@ -1,23 +1,14 @@
-import { googleLogout, useGoogleLogin } from '@react-oauth/google';
+import { googleLogout } from '@react-oauth/google';
 import axios from 'axios';
 
-export function useAuth() {
-  const login = useGoogleLogin({
-    onSuccess: async tokenResponse => {
-      const userInfo = await axios.get('https://www.googleapis.com/oauth2/v3/userinfo', {
-        headers: { Authorization: `Bearer ${tokenResponse.access_token}` },
-      });
-      localStorage.setItem('user', JSON.stringify(userInfo.data));
-      window.location.href = '/chat';
-    },
-    onError: error => console.error('Login Failed:', error),
-  });
+// The session lives in an httpOnly cookie, so every request must carry credentials
+axios.defaults.withCredentials = true;
 
-  const logout = () => {
-    googleLogout();
-    localStorage.removeItem('user');
-    window.location.href = '/login';
-  };
-
-  return { login, logout };
-}
\ No newline at end of file
+// Exchanges a Google ID token for a server session and returns the signed-in user
+export const signIn = credential =>
+  axios.post('http://localhost:4000/api/auth/google', { credential }).then(res => res.data);
+export const fetchSession = () => axios.get('http://localhost:4000/api/auth/me').then(res => res.data);
+export const signOut = () => {
+  googleLogout();
+  return axios.post('http://localhost:4000/api/auth/logout');
+};
@@ -1,63 +1,127 @@
 // LLM API Call Logic
-export async function queryLLM(prompt) {
-  const response = await fetch('https://router.huggingface.co/v1/chat/completions', {
+import axios from 'axios';
+
+// The providers and models the backend offers, with its defaults
+export const fetchModels = () => axios.get('http://localhost:4000/api/chat/models').then(res => res.data);
+
+// The chat transcript as conversation turns for the backend, which adds its
+// system prompt and fits them into the model's context window. Failed and
+// empty replies are left out.
+export const toTurns = history => history
+  .filter(message => message.text && !message.error)
+  .map(message => ({ role: message.from === 'user' ? 'user' : 'assistant', content: message.text }));
+
+// Calls `onData` with the payload of every `data:` line of a server-sent
+// events response, however the body happens to be split into chunks
+async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? '' : lines.pop();
+    lines.forEach(line => {
+      if (line.startsWith('data:')) onData(line.slice(5).trim());
+    });
+    if (done) return;
+  }
+}
+
+// Streams an answer for `messages` (see toTurns) from the backend's
+// chat proxy, calling `onToken` with each piece of text as it arrives,
+// `onToolCall`/`onToolResult` around each live-data lookup the model makes
+// and `onFallback` if the chosen provider failed and another one took over.
+// Resolves with { text, provider, model }; pass an AbortSignal to stop early.
+export async function queryLLM(messages, {
+  provider,
+  model,
+  signal,
+  onToken = () => {},
+  onToolCall = () => {},
+  onToolResult = () => {},
+  onFallback = () => {}
+} = {}) {
+  // fetch rather than axios, which cannot read a response body as it streams
+  const response = await fetch('http://localhost:4000/api/chat', {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${process.env.REACT_APP_HF_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-      model: 'meta-llama/Llama-3.1-8B-Instruct:novita',
-      stream: false,
-    }),
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messages, provider, model }),
+    signal,
   });
 
   if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`API request failed: ${errorText}`);
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Chat request failed (${response.status})`);
   }
 
-  return await response.json();
+  let text = '';
+  let used = { provider, model };
+  await readEventStream(response, data => {
+    const event = JSON.parse(data);
+    if (event.error) {
+      throw new Error(event.error);
+    }
+    if (event.fallback) {
+      used = { provider: event.fallback.provider, model: event.fallback.model };
+      onFallback(event.fallback);
+    }
+    if (event.token) {
+      text += event.token;
+      onToken(event.token);
+    }
+    if (event.toolCall) {
+      onToolCall(event.toolCall);
+    }
+    if (event.toolResult) {
+      onToolResult(event.toolResult);
+    }
+    if (event.done) {
+      used = { provider: event.provider, model: event.model };
+    }
+  });
+  return { text, ...used };
 }
 
-export async function handleAsk(prompt, setMessages, setInput) {
-  // Add user message to the chat
-  setMessages(prev => [...prev, { 
-    from: 'user', 
-    text: prompt, 
-    timestamp: new Date().toISOString() 
-  }]);
+// Adds the question and a reply that fills in as it streams. `history` is the
+// conversation so far, sent along so follow-up questions make sense. Whatever
+// has arrived is kept if the user stops generation or the stream fails.
+// `provider` and `model` pick the model; the backend's default otherwise.
+// Tools the model calls are listed on the reply as { id, name, arguments,
+// result }, with `result` filled in once it arrives.
+export async function handleAsk(prompt, setMessages, setInput, { signal, history = [], provider, model } = {}) {
+  const replyId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const updateReply = changes => setMessages(prev => prev.map(message => (
+    message.id === replyId ? { ...message, ...(typeof changes === 'function' ? changes(message) : changes) } : message
+  )));
+
+  setMessages(prev => [
+    ...prev,
+    { from: 'user', text: prompt, timestamp: new Date().toISOString() },
+    { id: replyId, from: 'bot', text: '', streaming: true, model, timestamp: new Date().toISOString() }
+  ]);
+  setInput('');
 
   try {
-    const response = await queryLLM(prompt);
-    
-    // Extract and display the assistant's response
-    if (response.choices && response.choices[0]?.message?.content) {
-      setMessages(prev => [...prev, { 
-        from: 'bot', 
-        text: response.choices[0].message.content, 
-        timestamp: new Date().toISOString() 
-      }]);
+    const used = await queryLLM(toTurns([...history, { from: 'user', text: prompt }]), {
+      provider,
+      model,
+      signal,
+      onToken: token => updateReply(message => ({ text: message.text + token })),
+      onToolCall: call => updateReply(message => ({ tools: [...(message.tools || []), call] })),
+      onToolResult: ({ id, result }) => updateReply(message => ({
+        tools: message.tools.map(tool => (tool.id === id ? { ...tool, result } : tool))
+      })),
+      onFallback: fallback => updateReply({ model: fallback.model, fallback: fallback.reason })
+    });
+    updateReply({ streaming: false, model: used.model });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      updateReply({ streaming: false, stopped: true });
     } else {
-      setMessages(prev => [...prev, { 
-        from: 'bot', 
-        text: JSON.stringify(response), 
-        timestamp: new Date().toISOString() 
-      }]);
+      updateReply({ streaming: false, error: error.message });
     }
-  } catch (error) {
-    setMessages(prev => [...prev, { 
-      from: 'bot', 
-      text: `Error: ${error.message}`, 
-      timestamp: new Date().toISOString() 
-    }]);
   }
-  
-  setInput('');
-}
\ No newline at end of file
+}
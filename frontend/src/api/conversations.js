@@ -0,0 +1,11 @@
+import axios from 'axios';
+export const fetchConversations = q =>
+  axios.get('http://localhost:4000/api/conversations', { params: q ? { q } : {} }).then(res => res.data);
+export const fetchConversation = id => axios.get(`http://localhost:4000/api/conversations/${id}`).then(res => res.data);
+export const createConversation = conversation =>
+  axios.post('http://localhost:4000/api/conversations', conversation).then(res => res.data);
+export const updateConversation = (id, changes) =>
+  axios.put(`http://localhost:4000/api/conversations/${id}`, changes).then(res => res.data);
+export const deleteConversation = id => axios.delete(`http://localhost:4000/api/conversations/${id}`).then(res => res.data);
+export const exportConversation = (id, format) =>
+  axios.get(`http://localhost:4000/api/conversations/${id}/export`, { params: { format }, responseType: 'blob' }).then(res => res.data);
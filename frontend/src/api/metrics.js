@@ -1,2 +1,6 @@
 import axios from 'axios';
-export const fetchMetrics = () => axios.get('http://localhost:4000/api/metrics').then(res => res.data);
\ No newline at end of file
+export const fetchMetrics = () => axios.get('http://localhost:4000/api/metrics').then(res => res.data);
+export const fetchMetricsHistory = (metric, params) =>
+  axios.get('http://localhost:4000/api/metrics/history', { params: { metric, ...params } }).then(res => res.data);
+export const fetchMetricsHeatmap = (metric, params) =>
+  axios.get('http://localhost:4000/api/metrics/heatmap', { params: { metric, ...params } }).then(res => res.data);
\ No newline at end of file
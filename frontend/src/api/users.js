@@ -0,0 +1,16 @@
+import axios from 'axios';
+export const fetchUsers = params => axios.get('http://localhost:4000/api/users', { params }).then(res => res.data);
+export const createUser = user => axios.post('http://localhost:4000/api/users', user).then(res => res.data);
+export const updateUser = (id, user) => axios.put(`http://localhost:4000/api/users/${id}`, user).then(res => res.data);
+export const deleteUser = id => axios.delete(`http://localhost:4000/api/users/${id}`).then(res => res.data);
+export const importUsers = ({ format, content, dryRun }) =>
+  axios.post('http://localhost:4000/api/users/import', { format, content, dryRun }).then(res => res.data);
+export const bulkUpdateUsers = (ids, action, role) =>
+  axios.post('http://localhost:4000/api/users/bulk', { ids, action, role }).then(res => res.data);
+export const exportUsers = params =>
+  axios.get('http://localhost:4000/api/users/export', { params, responseType: 'blob' }).then(res => res.data);
+export const fetchUserSessions = id => axios.get(`http://localhost:4000/api/users/${id}/sessions`).then(res => res.data);
+export const revokeUserSession = (id, sessionId) =>
+  axios.delete(`http://localhost:4000/api/users/${id}/sessions/${sessionId}`).then(res => res.data);
+export const revokeUserSessions = id => axios.delete(`http://localhost:4000/api/users/${id}/sessions`).then(res => res.data);
+export const fetchUserLogins = id => axios.get(`http://localhost:4000/api/users/${id}/logins`).then(res => res.data);
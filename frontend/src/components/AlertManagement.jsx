@@ -0,0 +1,440 @@
+import React, { useState } from 'react';
+import { useWsContext } from '../context/WebsocketContext.jsx';
+import NotificationChannels from './NotificationChannels.jsx';
+import RequirePermission from './RequirePermission.jsx';
+import {
+  COMPARATORS,
+  SEVERITIES,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  testAlertRule
+} from '../api/alerts.js';
+
+const METRICS = ['cpu', 'memory', 'disk', 'network'];
+
+const emptyForm = {
+  name: '',
+  metric: 'cpu',
+  comparator: '>',
+  threshold: 80,
+  duration: 0,
+  severity: 'warning',
+  labels: '',
+  enabled: true
+};
+
+const formatLabels = (labels) => Object.entries(labels || {}).map(([key, value]) => `${key}=${value}`).join(', ');
+
+const parseLabels = (text) => text
+  .split(',')
+  .map(pair => pair.trim())
+  .filter(Boolean)
+  .reduce((labels, pair) => {
+    const [key, ...rest] = pair.split('=');
+    return { ...labels, [key.trim()]: rest.join('=').trim() };
+  }, {});
+
+const formatDuration = (seconds) => {
+  if (!seconds) return 'immediately';
+  if (seconds % 60 === 0) return `for ${seconds / 60}m`;
+  return `for ${seconds}s`;
+};
+
+export default function AlertManagement() {
+  const { alerts, alertRules } = useWsContext();
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [testResults, setTestResults] = useState({});
+  const [draftResult, setDraftResult] = useState(null);
+
+  const toPayload = () => ({
+    name: formData.name,
+    metric: formData.metric,
+    comparator: formData.comparator,
+    threshold: Number(formData.threshold),
+    duration: Number(formData.duration),
+    severity: formData.severity,
+    labels: parseLabels(formData.labels),
+    enabled: formData.enabled
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingRule) {
+        await updateAlertRule(editingRule.id, toPayload());
+      } else {
+        await createAlertRule(toPayload());
+      }
+      resetForm();
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || { _: error.message });
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (window.confirm(`Are you sure you want to delete the rule "${rule.name}"?`)) {
+      try {
+        await deleteAlertRule(rule.id);
+      } catch (error) {
+        console.error('Error deleting alert rule:', error);
+      }
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await updateAlertRule(rule.id, { enabled: !rule.enabled });
+    } catch (error) {
+      console.error('Error updating alert rule:', error);
+    }
+  };
+
+  const handleTest = async (rule) => {
+    try {
+      const result = await testAlertRule(rule);
+      setTestResults(prev => ({ ...prev, [rule.id]: result }));
+    } catch (error) {
+      console.error('Error testing alert rule:', error);
+    }
+  };
+
+  const handleTestDraft = async () => {
+    try {
+      setDraftResult(await testAlertRule(toPayload()));
+      setFieldErrors({});
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || { _: error.message });
+    }
+  };
+
+  const handleEdit = (rule) => {
+    setEditingRule(rule);
+    setFormData({ ...rule, labels: formatLabels(rule.labels) });
+    setShowModal(true);
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingRule(null);
+    setFieldErrors({});
+    setDraftResult(null);
+    setShowModal(false);
+  };
+
+  const getSeverityBadgeColor = (severity) => {
+    switch (severity) {
+      case 'critical': return 'bg-red-100 text-red-800';
+      case 'warning': return 'bg-yellow-100 text-yellow-800';
+      default: return 'bg-blue-100 text-blue-800';
+    }
+  };
+
+  const inputClass = (field) => `w-full border rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+    fieldErrors[field] ? 'border-red-400' : 'border-gray-300'
+  }`;
+
+  const FieldError = ({ field }) => (
+    fieldErrors[field] ? <p className="mt-1 text-xs text-red-600">{fieldErrors[field]}</p> : null
+  );
+
+  const TestResult = ({ result }) => (
+    <span className={`text-xs font-medium ${result.breaching ? 'text-red-600' : 'text-green-600'}`}>
+      {result.value === null ? 'No value' : `${result.value} ${result.comparator} ${result.threshold}`}
+      {' → '}{result.breaching ? 'would fire' : 'OK'}
+    </span>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Alerts</h2>
+          <p className="text-gray-600">Threshold rules evaluated against every metrics sample</p>
+        </div>
+        <RequirePermission permission="alerts:manage">
+          <button
+            onClick={() => setShowModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Add Alert Rule
+          </button>
+        </RequirePermission>
+      </div>
+
+      {/* Active Alerts */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Active Alerts</h3>
+        {alerts.active.length === 0 ? (
+          <p className="text-sm text-gray-500">No active alerts</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {alerts.active.map((alert) => (
+              <li key={alert.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full mr-3 ${getSeverityBadgeColor(alert.severity)}`}>
+                    {alert.severity}
+                  </span>
+                  <span className="font-medium text-gray-900">{alert.name}</span>
+                  <span className="ml-2 text-sm text-gray-500">on {alert.hostname}</span>
+                </div>
+                <div className="text-sm text-gray-600">
+                  <span className="mr-4">{alert.value} {alert.comparator} {alert.threshold}</span>
+                  <span className={alert.state === 'firing' ? 'text-red-600 font-semibold' : 'text-yellow-600'}>
+                    {alert.state} since {new Date(alert.state === 'firing' ? alert.firingAt : alert.pendingAt).toLocaleTimeString()}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Rules Table */}
+      <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Alert Rules</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Condition</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Enabled</th>
+                <RequirePermission permission="alerts:manage">
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </RequirePermission>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {alertRules.map((rule) => (
+                <tr key={rule.id} className={`hover:bg-gray-50 ${rule.enabled ? '' : 'opacity-60'}`}>
+                  <td className="px-6 py-4">
+                    <div className="text-sm font-medium text-gray-900">{rule.name}</div>
+                    {Object.keys(rule.labels || {}).length > 0 && (
+                      <div className="text-xs text-gray-500">{formatLabels(rule.labels)}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    <div>{rule.metric} {rule.comparator} {rule.threshold} {formatDuration(rule.duration)}</div>
+                    {testResults[rule.id] && <TestResult result={testResults[rule.id]} />}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getSeverityBadgeColor(rule.severity)}`}>
+                      {rule.severity}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <RequirePermission
+                      permission="alerts:manage"
+                      fallback={<span className="text-sm text-gray-600">{rule.enabled ? 'Yes' : 'No'}</span>}
+                    >
+                      <button
+                        onClick={() => handleToggle(rule)}
+                        className={`relative inline-flex h-6 w-11 rounded-full transition-colors ${rule.enabled ? 'bg-blue-600' : 'bg-gray-300'}`}
+                      >
+                        <span className={`inline-block h-5 w-5 mt-0.5 rounded-full bg-white shadow transform transition-transform ${rule.enabled ? 'translate-x-5' : 'translate-x-0.5'}`} />
+                      </button>
+                    </RequirePermission>
+                  </td>
+                  <RequirePermission permission="alerts:manage">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <button
+                        onClick={() => handleTest(rule)}
+                        className="text-green-600 hover:text-green-900 mr-3 transition-colors"
+                      >
+                        Test
+                      </button>
+                      <button
+                        onClick={() => handleEdit(rule)}
+                        className="text-indigo-600 hover:text-indigo-900 mr-3 transition-colors"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(rule)}
+                        className="text-red-600 hover:text-red-900 transition-colors"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </RequirePermission>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <RequirePermission permission="notifications:manage">
+        <NotificationChannels />
+      </RequirePermission>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="relative bg-white rounded-2xl shadow-2xl w-full max-w-lg mx-auto">
+            {/* Modal Header */}
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <h3 className="text-xl font-semibold text-gray-900">
+                {editingRule ? 'Edit Alert Rule' : 'Add Alert Rule'}
+              </h3>
+              <button
+                onClick={resetForm}
+                className="text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            {/* Modal Body */}
+            <form onSubmit={handleSubmit} className="p-6">
+              <div className="space-y-5">
+                {fieldErrors._ && (
+                  <div className="p-3 bg-red-50 text-red-700 text-sm rounded-lg">{fieldErrors._}</div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                  <input
+                    type="text"
+                    required
+                    value={formData.name}
+                    onChange={(e) => setFormData({...formData, name: e.target.value})}
+                    className={inputClass('name')}
+                    placeholder="e.g. High CPU usage"
+                  />
+                  <FieldError field="name" />
+                </div>
+
+                <div className="grid grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Metric</label>
+                    <select
+                      value={formData.metric}
+                      onChange={(e) => setFormData({...formData, metric: e.target.value})}
+                      className={inputClass('metric')}
+                    >
+                      {METRICS.map(metric => <option key={metric} value={metric}>{metric}</option>)}
+                    </select>
+                    <FieldError field="metric" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Comparator</label>
+                    <select
+                      value={formData.comparator}
+                      onChange={(e) => setFormData({...formData, comparator: e.target.value})}
+                      className={inputClass('comparator')}
+                    >
+                      {Object.keys(COMPARATORS).map(comparator => <option key={comparator} value={comparator}>{comparator}</option>)}
+                    </select>
+                    <FieldError field="comparator" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Threshold</label>
+                    <input
+                      type="number"
+                      step="any"
+                      required
+                      value={formData.threshold}
+                      onChange={(e) => setFormData({...formData, threshold: e.target.value})}
+                      className={inputClass('threshold')}
+                    />
+                    <FieldError field="threshold" />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Duration (seconds)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={formData.duration}
+                      onChange={(e) => setFormData({...formData, duration: e.target.value})}
+                      className={inputClass('duration')}
+                    />
+                    <FieldError field="duration" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Severity</label>
+                    <select
+                      value={formData.severity}
+                      onChange={(e) => setFormData({...formData, severity: e.target.value})}
+                      className={inputClass('severity')}
+                    >
+                      {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                    </select>
+                    <FieldError field="severity" />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Labels</label>
+                  <input
+                    type="text"
+                    value={formData.labels}
+                    onChange={(e) => setFormData({...formData, labels: e.target.value})}
+                    className={inputClass('labels')}
+                    placeholder="team=ops, service=api"
+                  />
+                  <FieldError field="labels" />
+                </div>
+
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.enabled}
+                    onChange={(e) => setFormData({...formData, enabled: e.target.checked})}
+                    className="rounded border-gray-300"
+                  />
+                  <span>Enabled</span>
+                </label>
+
+                {/* Test against the current sample */}
+                <div className="bg-gray-50 rounded-lg p-4 flex items-center justify-between">
+                  <div className="text-sm text-gray-600">
+                    {draftResult ? <TestResult result={draftResult} /> : 'Check this rule against the current metrics'}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleTestDraft}
+                    className="px-3 py-1 text-sm font-medium text-green-700 bg-green-100 hover:bg-green-200 rounded-lg transition-colors"
+                  >
+                    Test Rule
+                  </button>
+                </div>
+              </div>
+
+              {/* Modal Footer */}
+              <div className="flex justify-end space-x-3 pt-6 mt-6 border-t border-gray-200">
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="px-6 py-3 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-6 py-3 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors"
+                >
+                  {editingRule ? 'Update Rule' : 'Create Rule'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchAudit, exportAudit } from '../api/audit.js';
+
+const PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const TARGET_TYPES = {
+  user: 'User',
+  alertRule: 'Alert rule',
+  notificationChannel: 'Notification channel',
+  host: 'Host',
+  conversation: 'Conversation'
+};
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+  login: 'bg-gray-100 text-gray-700',
+  logout: 'bg-gray-100 text-gray-700',
+  loginDenied: 'bg-yellow-100 text-yellow-800',
+  revoke: 'bg-yellow-100 text-yellow-800'
+};
+
+const formatValue = (value) => {
+  if (value === null) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// datetime-local inputs give local time without a zone; the API wants ISO
+const toIso = (value) => (value ? new Date(value).toISOString() : undefined);
+
+// Who changed what and when, newest first
+export default function AuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [actions, setActions] = useState([]);
+  const [actorInput, setActorInput] = useState('');
+  const [actor, setActor] = useState('');
+  const [action, setAction] = useState('');
+  const [targetType, setTargetType] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const filterParams = useCallback(() => ({
+    actor: actor || undefined,
+    action: action || undefined,
+    targetType: targetType || undefined,
+    from: toIso(from),
+    to: toIso(to)
+  }), [actor, action, targetType, from, to]);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const data = await fetchAudit({ ...filterParams(), page, pageSize: PAGE_SIZE });
+      setEntries(data.entries);
+      setTotal(data.total);
+      setActions(data.actions);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filterParams, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setActor(actorInput.trim());
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [actorInput]);
+
+  const setFilter = (setValue) => (e) => {
+    setValue(e.target.value);
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await exportAudit(filterParams());
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting audit log:', err);
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const filterClass = 'border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Audit Log</h2>
+          <p className="text-gray-600">Every change made through the API, newest first</p>
+        </div>
+        <button
+          onClick={handleExport}
+          className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+        {/* Filters */}
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-end gap-3">
+          <input
+            type="text"
+            value={actorInput}
+            onChange={(e) => setActorInput(e.target.value)}
+            placeholder="Actor email or id..."
+            className={`w-full sm:w-56 ${filterClass}`}
+          />
+          <select value={action} onChange={setFilter(setAction)} className={filterClass}>
+            <option value="">All actions</option>
+            {actions.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <select value={targetType} onChange={setFilter(setTargetType)} className={filterClass}>
+            <option value="">All targets</option>
+            {Object.entries(TARGET_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+          <label className="text-xs text-gray-500">
+            From
+            <input type="datetime-local" value={from} onChange={setFilter(setFrom)} className={`block ${filterClass}`} />
+          </label>
+          <label className="text-xs text-gray-500">
+            To
+            <input type="datetime-local" value={to} onChange={setFilter(setTo)} className={`block ${filterClass}`} />
+          </label>
+        </div>
+
+        {error && (
+          <div className="mx-6 mt-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg">{error}</div>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {entries.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">No audit entries match the current filters</td>
+                </tr>
+              )}
+              {entries.map((entry) => {
+                const changeCount = entry.changes ? Object.keys(entry.changes).length : 0;
+                const verb = entry.action.split('.').pop();
+                return (
+                  <React.Fragment key={entry.id}>
+                    <tr
+                      onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+                      className="hover:bg-gray-50 cursor-pointer text-sm"
+                    >
+                      <td className="px-6 py-3 whitespace-nowrap text-gray-500">{new Date(entry.timestamp).toLocaleString()}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-gray-900">{entry.actor ? entry.actor.email : 'System'}</td>
+                      <td className="px-6 py-3 whitespace-nowrap">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${ACTION_STYLES[verb] || ACTION_STYLES.update}`}>
+                          {entry.action}
+                        </span>
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-gray-700">
+                        <span className="text-gray-500">{TARGET_TYPES[entry.target?.type] || entry.target?.type}</span>{' '}
+                        {entry.target?.name}
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-gray-500">
+                        {changeCount > 0 ? `${changeCount} field${changeCount === 1 ? '' : 's'}` : '—'}
+                        {entry.details?.via && <span className="ml-2 text-xs text-gray-400">via {entry.details.via}</span>}
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-gray-500">{entry.ip}</td>
+                    </tr>
+                    {expanded === entry.id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={6} className="px-6 py-4 text-sm">
+                          {changeCount > 0 && (
+                            <table className="mb-3">
+                              <tbody>
+                                {Object.entries(entry.changes).map(([field, change]) => (
+                                  <tr key={field}>
+                                    <td className="pr-4 py-1 font-medium text-gray-700">{field}</td>
+                                    <td className="pr-2 py-1 text-red-700 line-through break-all">{formatValue(change.from)}</td>
+                                    <td className="pr-2 py-1 text-gray-400">→</td>
+                                    <td className="py-1 text-green-700 break-all">{formatValue(change.to)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                          {entry.details && (
+                            <p className="text-xs text-gray-500 break-all">Details: {JSON.stringify(entry.details)}</p>
+                          )}
+                          <p className="text-xs text-gray-500">User agent: {entry.userAgent || 'unknown'}</p>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+          <span>
+            {total === 0 ? 'No entries' : `Showing ${(page - 1) * PAGE_SIZE + 1}–${Math.min(page * PAGE_SIZE, total)} of ${total}`}
+          </span>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Previous
+            </button>
+            <span>Page {page} of {pageCount}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pageCount}
+              className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
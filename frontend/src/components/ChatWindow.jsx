@@ -7,7 +7,7 @@ export default function ChatWindow() {
 
   const send = () => {
     if (!input.trim()) return;
-    handleAsk(input, setMessages, setInput);
+    handleAsk(input, setMessages, setInput, { history: messages });
   };
 
   return (
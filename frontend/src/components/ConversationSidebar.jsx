@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { fetchConversations, updateConversation, deleteConversation, exportConversation } from '../api/conversations.js';
+
+const EXPORT_FORMATS = [
+  { format: 'markdown', label: 'Markdown', extension: 'md' },
+  { format: 'json', label: 'JSON', extension: 'json' }
+];
+
+const formatDay = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// The user's saved conversations: search, open, rename, pin, export and
+// delete. `version` changes whenever the open conversation is saved, so the
+// list picks up new titles and ordering.
+export default function ConversationSidebar({ activeId, version, disabled, onSelect, onNew, onDeleted }) {
+  const [conversations, setConversations] = useState([]);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [menuFor, setMenuFor] = useState(null);
+  const [error, setError] = useState(null);
+  const [reloads, setReloads] = useState(0);
+
+  // Search as the user types, without a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    fetchConversations(query)
+      .then(list => {
+        setConversations(list);
+        setError(null);
+      })
+      .catch(err => setError(err.response?.data?.error || err.message));
+  }, [query, version, reloads]);
+
+  const reload = () => setReloads(count => count + 1);
+
+  const change = async (conversation, changes) => {
+    try {
+      await updateConversation(conversation.id, changes);
+      reload();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const saveTitle = () => {
+    const title = renaming.title.trim();
+    const conversation = conversations.find(c => c.id === renaming.id);
+    setRenaming(null);
+    if (title && conversation && title !== conversation.title) change(conversation, { title });
+  };
+
+  const remove = async (conversation) => {
+    setMenuFor(null);
+    if (!window.confirm(`Delete the conversation "${conversation.title}"?`)) return;
+    try {
+      await deleteConversation(conversation.id);
+      onDeleted(conversation.id);
+      reload();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleExport = async (conversation, { format, extension }) => {
+    setMenuFor(null);
+    try {
+      const blob = await exportConversation(conversation.id, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'conversation'}.${extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl flex flex-col h-full overflow-hidden">
+      <div className="p-4 border-b border-gray-200 space-y-3">
+        <button
+          onClick={onNew}
+          disabled={disabled}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-xl text-sm font-medium transition-colors"
+        >
+          New conversation
+        </button>
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search conversations..."
+          className="w-full border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      {error && <p className="px-4 py-2 text-xs text-red-600 bg-red-50">{error}</p>}
+
+      <div className="flex-1 overflow-y-auto">
+        {conversations.length === 0 && (
+          <p className="px-4 py-6 text-sm text-gray-500 text-center">
+            {query ? 'No matching conversations' : 'No saved conversations yet'}
+          </p>
+        )}
+        {conversations.map(conversation => (
+          <div
+            key={conversation.id}
+            className={`group relative px-4 py-3 border-b border-gray-100 ${
+              conversation.id === activeId ? 'bg-blue-50' : 'hover:bg-gray-50'
+            }`}
+          >
+            {renaming && renaming.id === conversation.id ? (
+              <input
+                autoFocus
+                value={renaming.title}
+                maxLength={200}
+                onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                onBlur={saveTitle}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') saveTitle();
+                  if (e.key === 'Escape') setRenaming(null);
+                }}
+                className="w-full border border-blue-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            ) : (
+              <button
+                onClick={() => onSelect(conversation.id)}
+                disabled={disabled}
+                className="w-full text-left disabled:cursor-not-allowed"
+              >
+                <div className="flex items-center space-x-1 pr-12">
+                  {conversation.pinned && (
+                    <svg className="w-3 h-3 flex-shrink-0 text-amber-500" fill="currentColor" viewBox="0 0 20 20">
+                      <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                    </svg>
+                  )}
+                  <span className="text-sm font-medium text-gray-900 truncate">{conversation.title}</span>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {formatDay(conversation.updatedAt)} · {conversation.messageCount} message{conversation.messageCount === 1 ? '' : 's'}
+                </p>
+              </button>
+            )}
+
+            {!renaming && (
+              <div className="absolute top-3 right-3 flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button
+                  onClick={() => change(conversation, { pinned: !conversation.pinned })}
+                  title={conversation.pinned ? 'Unpin' : 'Pin'}
+                  className={`p-1 rounded hover:bg-gray-200 ${conversation.pinned ? 'text-amber-500' : 'text-gray-400'}`}
+                >
+                  <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                    <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                  </svg>
+                </button>
+                <button
+                  onClick={() => setMenuFor(menuFor === conversation.id ? null : conversation.id)}
+                  title="More"
+                  className="p-1 rounded text-gray-400 hover:bg-gray-200 hover:text-gray-600"
+                >
+                  <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                    <path d="M6 10a2 2 0 11-4 0 2 2 0 014 0zM12 10a2 2 0 11-4 0 2 2 0 014 0zM16 12a2 2 0 100-4 2 2 0 000 4z" />
+                  </svg>
+                </button>
+              </div>
+            )}
+
+            {menuFor === conversation.id && (
+              <div className="absolute right-3 top-10 z-10 w-40 bg-white border border-gray-200 rounded-lg shadow-lg py-1 text-sm">
+                <button
+                  onClick={() => {
+                    setMenuFor(null);
+                    setRenaming({ id: conversation.id, title: conversation.title });
+                  }}
+                  className="w-full text-left px-3 py-1.5 hover:bg-gray-100 text-gray-700"
+                >
+                  Rename
+                </button>
+                {EXPORT_FORMATS.map(option => (
+                  <button
+                    key={option.format}
+                    onClick={() => handleExport(conversation, option)}
+                    className="w-full text-left px-3 py-1.5 hover:bg-gray-100 text-gray-700"
+                  >
+                    Export {option.label}
+                  </button>
+                ))}
+                <button
+                  onClick={() => remove(conversation)}
+                  className="w-full text-left px-3 py-1.5 hover:bg-red-50 text-red-600"
+                >
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+export default function HostList({ hosts, currentHost }) {
+  const getStatusBadgeColor = (status) => {
+    return status === 'online'
+      ? 'bg-green-100 text-green-800'
+      : 'bg-gray-100 text-gray-800';
+  };
+
+  const formatLastSeen = (timestamp) => {
+    const seconds = Math.round((Date.now() - Date.parse(timestamp)) / 1000);
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    return new Date(timestamp).toLocaleString();
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900">Hosts</h3>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Host</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">CPU</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Memory</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Disk</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Seen</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {hosts.map((host) => (
+              <tr key={host.hostname} className={host.hostname === currentHost ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <Link to={`/dashboard/${encodeURIComponent(host.hostname)}`} className="text-sm font-medium text-blue-600 hover:text-blue-800">
+                    {host.hostname}
+                  </Link>
+                  <div className="text-xs text-gray-500">
+                    {host.platform}{host.source === 'local' ? ' · this server' : ''}
+                    {host.tags.length > 0 && ` · ${host.tags.join(', ')}`}
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadgeColor(host.status)}`}>
+                    {host.status}
+                  </span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{host.metrics.cpu}%</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{host.metrics.memory}%</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{host.metrics.disk}%</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatLastSeen(host.lastSeen)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
\ No newline at end of file
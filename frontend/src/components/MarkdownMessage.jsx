@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github.css';
+
+// Code blocks and tables need more room than a chat bubble usually gets
+export const hasWideContent = text => /```|^\s*\|.*\|\s*$/m.test(text || '');
+
+// The plain text of a syntax tree node, before highlighting split it into spans
+const textOf = node => (node.type === 'text' ? node.value : (node.children || []).map(textOf).join(''));
+
+function CodeBlock({ node, children }) {
+  const [copied, setCopied] = useState(false);
+  const code = node.children.find(child => child.tagName === 'code');
+  const language = ((code && code.properties.className) || [])
+    .map(String)
+    .find(name => name.startsWith('language-'));
+  const text = textOf(node).replace(/\n$/, '');
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying code:', err);
+    }
+  };
+
+  return (
+    <div className="my-2 border border-gray-200 rounded-lg overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1 bg-gray-100 border-b border-gray-200 text-xs text-gray-500">
+        <span>{language ? language.slice('language-'.length) : 'code'}</span>
+        <button onClick={copy} className="hover:text-gray-800 transition-colors">
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      <pre className="text-xs overflow-x-auto">{children}</pre>
+    </div>
+  );
+}
+
+// Tailwind's reset strips list bullets, table borders and heading sizes, so
+// every element the assistant is likely to use gets its styling back here
+const components = {
+  pre: CodeBlock,
+  // Highlighting gives the code of every block an hljs class, so code
+  // without one is inline
+  code: ({ node, className, children }) => (
+    className
+      ? <code className={className}>{children}</code>
+      : <code className="px-1 py-0.5 bg-gray-100 rounded text-[0.85em] font-mono">{children}</code>
+  ),
+  p: ({ children }) => <p className="my-2 first:mt-0 last:mb-0">{children}</p>,
+  ul: ({ children }) => <ul className="my-2 pl-5 list-disc space-y-1">{children}</ul>,
+  ol: ({ children }) => <ol className="my-2 pl-5 list-decimal space-y-1">{children}</ol>,
+  h1: ({ children }) => <h3 className="mt-3 mb-2 text-base font-semibold">{children}</h3>,
+  h2: ({ children }) => <h4 className="mt-3 mb-2 text-sm font-semibold">{children}</h4>,
+  h3: ({ children }) => <h5 className="mt-3 mb-1 text-sm font-semibold">{children}</h5>,
+  blockquote: ({ children }) => <blockquote className="my-2 pl-3 border-l-4 border-gray-200 text-gray-600">{children}</blockquote>,
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline hover:text-blue-800">{children}</a>
+  ),
+  table: ({ children }) => (
+    <div className="my-2 overflow-x-auto">
+      <table className="min-w-full text-xs border border-gray-200">{children}</table>
+    </div>
+  ),
+  thead: ({ children }) => <thead className="bg-gray-100">{children}</thead>,
+  th: ({ children, style }) => <th style={style} className="px-2 py-1 border border-gray-200 text-left font-semibold">{children}</th>,
+  td: ({ children, style }) => <td style={style} className="px-2 py-1 border border-gray-200">{children}</td>
+};
+
+// An assistant message as Markdown. Raw HTML in the text is dropped and the
+// result sanitised before highlighting, so a model cannot inject markup or
+// scripts into the page.
+export default function MarkdownMessage({ text }) {
+  return (
+    <div className="text-sm leading-relaxed break-words">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[rehypeSanitize, [rehypeHighlight, { detect: true }]]}
+        components={components}
+      >
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceArea
+} from 'recharts';
+import { fetchMetricsHistory } from '../api/metrics.js';
+
+const WINDOWS = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+const CHARTS = [
+  { metric: 'cpu', label: 'CPU Usage', unit: '%', color: '#2563eb', domain: [0, 100] },
+  { metric: 'memory', label: 'Memory Usage', unit: '%', color: '#16a34a', domain: [0, 100] },
+  { metric: 'disk', label: 'Disk Usage', unit: '%', color: '#ca8a04', domain: [0, 100] },
+  { metric: 'network', label: 'Network', unit: ' Mbps', color: '#9333ea', domain: [0, 'auto'] }
+];
+
+const emptySeries = () => CHARTS.reduce((acc, chart) => ({ ...acc, [chart.metric]: [] }), {});
+
+export default function MetricsHistory({ host, metrics }) {
+  const [windowKey, setWindowKey] = useState('1h');
+  const [zoom, setZoom] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [series, setSeries] = useState(emptySeries);
+  const [step, setStep] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Seed the charts from the history API whenever the range changes
+  useEffect(() => {
+    let cancelled = false;
+    const to = zoom ? zoom.to : Date.now();
+    const from = zoom ? zoom.from : to - WINDOWS[windowKey];
+
+    setLoading(true);
+    Promise.all(CHARTS.map(chart => fetchMetricsHistory(chart.metric, { host, from: Math.round(from), to: Math.round(to) })))
+      .then(results => {
+        if (cancelled) return;
+        const next = {};
+        results.forEach(result => {
+          next[result.metric] = result.points.map(point => ({ t: Date.parse(point.timestamp), value: point.value }));
+        });
+        setSeries(next);
+        setStep(results[0].step);
+        setError(null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [host, windowKey, zoom]);
+
+  // Extend the live window from the websocket stream, one point per step
+  useEffect(() => {
+    if (zoom || !metrics.timestamp) return;
+    const t = Date.parse(metrics.timestamp);
+    const cutoff = t - WINDOWS[windowKey];
+
+    setSeries(prev => {
+      const next = {};
+      CHARTS.forEach(({ metric }) => {
+        const points = prev[metric] || [];
+        const last = points[points.length - 1];
+        const append = typeof metrics[metric] === 'number' && (!last || (t > last.t && t - last.t >= step * 1000));
+        next[metric] = (append ? [...points, { t, value: metrics[metric] }] : points).filter(point => point.t >= cutoff);
+      });
+      return next;
+    });
+  }, [metrics, zoom, windowKey, step]);
+
+  const handleMouseDown = (e) => {
+    if (e && e.activeLabel !== undefined) setSelection({ start: e.activeLabel, end: e.activeLabel });
+  };
+
+  const handleMouseMove = (e) => {
+    if (selection && e && e.activeLabel !== undefined) setSelection({ ...selection, end: e.activeLabel });
+  };
+
+  const handleMouseUp = () => {
+    if (selection && selection.start !== selection.end) {
+      setZoom({ from: Math.min(selection.start, selection.end), to: Math.max(selection.start, selection.end) });
+    }
+    setSelection(null);
+  };
+
+  const selectWindow = (key) => {
+    setZoom(null);
+    setWindowKey(key);
+  };
+
+  const range = zoom ? zoom.to - zoom.from : WINDOWS[windowKey];
+  const formatTick = (t) => {
+    const date = new Date(t);
+    return range > WINDOWS['24h']
+      ? date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+      : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Metrics History</h3>
+          <p className="text-sm text-gray-500">
+            {zoom
+              ? `${new Date(zoom.from).toLocaleString()} – ${new Date(zoom.to).toLocaleString()}`
+              : 'Drag across a chart to zoom into a time range'}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {zoom && (
+            <button
+              onClick={() => setZoom(null)}
+              className="px-3 py-1 text-sm font-medium text-blue-600 hover:text-blue-800 transition-colors"
+            >
+              Reset zoom
+            </button>
+          )}
+          <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden">
+            {Object.keys(WINDOWS).map((key) => (
+              <button
+                key={key}
+                onClick={() => selectWindow(key)}
+                className={`px-3 py-1 text-sm font-medium transition-colors ${
+                  !zoom && windowKey === key
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-white text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {key}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg">Failed to load history: {error}</div>
+      )}
+
+      <div className={`grid grid-cols-1 lg:grid-cols-2 gap-6 select-none ${loading ? 'opacity-50' : ''}`}>
+        {CHARTS.map((chart) => (
+          <div key={chart.metric}>
+            <p className="text-sm font-medium text-gray-600 mb-2">{chart.label}</p>
+            <div className="h-48">
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart
+                  data={series[chart.metric]}
+                  syncId="metrics-history"
+                  syncMethod="value"
+                  onMouseDown={handleMouseDown}
+                  onMouseMove={handleMouseMove}
+                  onMouseUp={handleMouseUp}
+                >
+                  <defs>
+                    <linearGradient id={`fill-${chart.metric}`} x1="0" y1="0" x2="0" y2="1">
+                      <stop offset="5%" stopColor={chart.color} stopOpacity={0.3} />
+                      <stop offset="95%" stopColor={chart.color} stopOpacity={0} />
+                    </linearGradient>
+                  </defs>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis
+                    dataKey="t"
+                    type="number"
+                    scale="time"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={formatTick}
+                    tick={{ fontSize: 11, fill: '#6b7280' }}
+                  />
+                  <YAxis domain={chart.domain} tick={{ fontSize: 11, fill: '#6b7280' }} width={40} />
+                  <Tooltip
+                    labelFormatter={(t) => new Date(t).toLocaleString()}
+                    formatter={(value) => [`${value}${chart.unit}`, chart.label]}
+                  />
+                  <Area
+                    type="monotone"
+                    dataKey="value"
+                    stroke={chart.color}
+                    fill={`url(#fill-${chart.metric})`}
+                    strokeWidth={2}
+                    isAnimationActive={false}
+                  />
+                  {selection && (
+                    <ReferenceArea x1={selection.start} x2={selection.end} strokeOpacity={0.3} fill="#93c5fd" fillOpacity={0.3} />
+                  )}
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -45,6 +45,22 @@ export default function Navbar() {
                 <span>Dashboard</span>
               </div>
             </Link>
+
+            <Link
+              to="/fleet"
+              className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 ${
+                isActive('/fleet')
+                  ? 'bg-white text-blue-900 shadow-md'
+                  : 'text-white hover:bg-white/10 hover:text-blue-100'
+              }`}
+            >
+              <div className="flex items-center space-x-2">
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01" />
+                </svg>
+                <span>Fleet</span>
+              </div>
+            </Link>
             
             <Link
               to="/chat"
@@ -122,6 +138,17 @@ export default function Navbar() {
             >
               Dashboard
             </Link>
+            <Link
+              to="/fleet"
+              onClick={() => setIsMenuOpen(false)}
+              className={`block px-3 py-2 rounded-md text-base font-medium ${
+                isActive('/fleet')
+                  ? 'bg-white text-blue-900'
+                  : 'text-white hover:bg-blue-700'
+              }`}
+            >
+              Fleet
+            </Link>
             <Link
               to="/chat"
               onClick={() => setIsMenuOpen(false)}
@@ -0,0 +1,466 @@
+import React, { useState, useEffect } from 'react';
+import {
+  CHANNEL_TYPES,
+  fetchNotificationChannels,
+  createNotificationChannel,
+  updateNotificationChannel,
+  deleteNotificationChannel,
+  testNotificationChannel,
+  fetchNotificationDeliveries
+} from '../api/alerts.js';
+
+const emptyForm = {
+  name: '',
+  type: 'webhook',
+  enabled: true,
+  events: ['firing', 'resolved'],
+  url: '',
+  secret: '',
+  host: '',
+  port: 587,
+  secure: false,
+  username: '',
+  password: '',
+  from: '',
+  to: ''
+};
+
+const TYPE_LABELS = { webhook: 'Webhook', slack: 'Slack', teams: 'Microsoft Teams', email: 'Email (SMTP)' };
+
+export default function NotificationChannels() {
+  const [channels, setChannels] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingChannel, setEditingChannel] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [testingId, setTestingId] = useState(null);
+
+  useEffect(() => {
+    fetchChannels();
+    fetchDeliveries();
+  }, []);
+
+  const fetchChannels = async () => {
+    try {
+      setChannels(await fetchNotificationChannels());
+    } catch (error) {
+      console.error('Error fetching notification channels:', error);
+    }
+  };
+
+  const fetchDeliveries = async () => {
+    try {
+      setDeliveries(await fetchNotificationDeliveries());
+    } catch (error) {
+      console.error('Error fetching notification deliveries:', error);
+    }
+  };
+
+  const toPayload = () => {
+    const config = formData.type === 'email'
+      ? {
+          host: formData.host,
+          port: Number(formData.port),
+          secure: formData.secure,
+          username: formData.username || undefined,
+          password: formData.password || undefined,
+          from: formData.from,
+          to: formData.to.split(',').map(address => address.trim()).filter(Boolean)
+        }
+      : { url: formData.url, secret: formData.type === 'webhook' && formData.secret ? formData.secret : undefined };
+    return { name: formData.name, type: formData.type, enabled: formData.enabled, events: formData.events, config };
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingChannel) {
+        await updateNotificationChannel(editingChannel.id, toPayload());
+      } else {
+        await createNotificationChannel(toPayload());
+      }
+      fetchChannels();
+      resetForm();
+    } catch (error) {
+      setFieldErrors(error.response?.data?.fields || { _: error.message });
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    if (window.confirm(`Are you sure you want to delete the channel "${channel.name}"?`)) {
+      try {
+        await deleteNotificationChannel(channel.id);
+        fetchChannels();
+      } catch (error) {
+        console.error('Error deleting notification channel:', error);
+      }
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTestingId(channel.id);
+    try {
+      await testNotificationChannel(channel.id);
+    } catch (error) {
+      console.error('Error sending test notification:', error);
+    } finally {
+      setTestingId(null);
+      fetchDeliveries();
+    }
+  };
+
+  const handleEdit = (channel) => {
+    setEditingChannel(channel);
+    setFormData({
+      ...emptyForm,
+      name: channel.name,
+      type: channel.type,
+      enabled: channel.enabled,
+      events: channel.events,
+      ...channel.config,
+      to: (channel.config.to || []).join(', ')
+    });
+    setShowModal(true);
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingChannel(null);
+    setFieldErrors({});
+    setShowModal(false);
+  };
+
+  const toggleEvent = (event) => {
+    setFormData({
+      ...formData,
+      events: formData.events.includes(event)
+        ? formData.events.filter(e => e !== event)
+        : [...formData.events, event]
+    });
+  };
+
+  const getStatusBadgeColor = (status) => {
+    switch (status) {
+      case 'delivered': return 'bg-green-100 text-green-800';
+      case 'failed': return 'bg-red-100 text-red-800';
+      default: return 'bg-yellow-100 text-yellow-800';
+    }
+  };
+
+  const inputClass = (field) => `w-full border rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+    fieldErrors[field] ? 'border-red-400' : 'border-gray-300'
+  }`;
+
+  const FieldError = ({ field }) => (
+    fieldErrors[field] ? <p className="mt-1 text-xs text-red-600">{fieldErrors[field]}</p> : null
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Channels */}
+      <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Notification Channels</h3>
+            <p className="text-sm text-gray-500">Where firing and resolved alerts are delivered</p>
+          </div>
+          <button
+            onClick={() => setShowModal(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Add Channel
+          </button>
+        </div>
+        {channels.length === 0 ? (
+          <p className="px-6 py-4 text-sm text-gray-500">No notification channels configured</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {channels.map((channel) => (
+              <li key={channel.id} className={`px-6 py-4 flex items-center justify-between ${channel.enabled ? '' : 'opacity-60'}`}>
+                <div>
+                  <div className="text-sm font-medium text-gray-900">{channel.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {TYPE_LABELS[channel.type]} · {channel.type === 'email' ? channel.config.to.join(', ') : channel.config.url}
+                    {' · '}{channel.events.join(', ')}
+                  </div>
+                </div>
+                <div className="text-sm font-medium">
+                  <button
+                    onClick={() => handleTest(channel)}
+                    disabled={testingId === channel.id}
+                    className="text-green-600 hover:text-green-900 disabled:text-gray-400 mr-3 transition-colors"
+                  >
+                    {testingId === channel.id ? 'Sending...' : 'Send Test'}
+                  </button>
+                  <button
+                    onClick={() => handleEdit(channel)}
+                    className="text-indigo-600 hover:text-indigo-900 mr-3 transition-colors"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(channel)}
+                    className="text-red-600 hover:text-red-900 transition-colors"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Delivery Log */}
+      <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+          <h3 className="text-lg font-medium text-gray-900">Delivery Log</h3>
+          <button
+            onClick={fetchDeliveries}
+            className="text-sm font-medium text-blue-600 hover:text-blue-800 transition-colors"
+          >
+            Refresh
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Channel</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Alert</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {deliveries.map((delivery) => (
+                <tr key={delivery.id}>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{new Date(delivery.createdAt).toLocaleString()}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{delivery.channelName}</td>
+                  <td className="px-6 py-3 text-sm text-gray-700">{delivery.alertName} ({delivery.event})</td>
+                  <td className="px-6 py-3 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadgeColor(delivery.status)}`}>
+                      {delivery.status}
+                    </span>
+                    {delivery.error && <div className="text-xs text-red-600 mt-1">{delivery.error}</div>}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{delivery.attempts}</td>
+                </tr>
+              ))}
+              {deliveries.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-6 py-4 text-sm text-gray-500">No notifications sent yet</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+          <div className="relative bg-white rounded-2xl shadow-2xl w-full max-w-lg mx-auto">
+            {/* Modal Header */}
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <h3 className="text-xl font-semibold text-gray-900">
+                {editingChannel ? 'Edit Channel' : 'Add Channel'}
+              </h3>
+              <button
+                onClick={resetForm}
+                className="text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            {/* Modal Body */}
+            <form onSubmit={handleSubmit} className="p-6">
+              <div className="space-y-5">
+                {fieldErrors._ && (
+                  <div className="p-3 bg-red-50 text-red-700 text-sm rounded-lg">{fieldErrors._}</div>
+                )}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                    <input
+                      type="text"
+                      required
+                      value={formData.name}
+                      onChange={(e) => setFormData({...formData, name: e.target.value})}
+                      className={inputClass('name')}
+                      placeholder="e.g. On-call Slack"
+                    />
+                    <FieldError field="name" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+                    <select
+                      value={formData.type}
+                      onChange={(e) => setFormData({...formData, type: e.target.value})}
+                      className={inputClass('type')}
+                    >
+                      {CHANNEL_TYPES.map(type => <option key={type} value={type}>{TYPE_LABELS[type]}</option>)}
+                    </select>
+                    <FieldError field="type" />
+                  </div>
+                </div>
+
+                {formData.type === 'email' ? (
+                  <>
+                    <div className="grid grid-cols-3 gap-4">
+                      <div className="col-span-2">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">SMTP Host</label>
+                        <input
+                          type="text"
+                          value={formData.host}
+                          onChange={(e) => setFormData({...formData, host: e.target.value})}
+                          className={inputClass('config.host')}
+                          placeholder="smtp.example.com"
+                        />
+                        <FieldError field="config.host" />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Port</label>
+                        <input
+                          type="number"
+                          value={formData.port}
+                          onChange={(e) => setFormData({...formData, port: e.target.value})}
+                          className={inputClass('config.port')}
+                        />
+                        <FieldError field="config.port" />
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+                        <input
+                          type="text"
+                          value={formData.username}
+                          onChange={(e) => setFormData({...formData, username: e.target.value})}
+                          className={inputClass('config.username')}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+                        <input
+                          type="password"
+                          value={formData.password}
+                          onChange={(e) => setFormData({...formData, password: e.target.value})}
+                          className={inputClass('config.password')}
+                        />
+                      </div>
+                    </div>
+                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.secure}
+                        onChange={(e) => setFormData({...formData, secure: e.target.checked})}
+                        className="rounded border-gray-300"
+                      />
+                      <span>Use TLS from the start (port 465)</span>
+                    </label>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+                      <input
+                        type="text"
+                        value={formData.from}
+                        onChange={(e) => setFormData({...formData, from: e.target.value})}
+                        className={inputClass('config.from')}
+                        placeholder="alerts@example.com"
+                      />
+                      <FieldError field="config.from" />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+                      <input
+                        type="text"
+                        value={formData.to}
+                        onChange={(e) => setFormData({...formData, to: e.target.value})}
+                        className={inputClass('config.to')}
+                        placeholder="oncall@example.com, ops@example.com"
+                      />
+                      <FieldError field="config.to" />
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Webhook URL</label>
+                      <input
+                        type="url"
+                        value={formData.url}
+                        onChange={(e) => setFormData({...formData, url: e.target.value})}
+                        className={inputClass('config.url')}
+                        placeholder="https://hooks.example.com/..."
+                      />
+                      <FieldError field="config.url" />
+                    </div>
+                    {formData.type === 'webhook' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Signing Secret</label>
+                        <input
+                          type="password"
+                          value={formData.secret}
+                          onChange={(e) => setFormData({...formData, secret: e.target.value})}
+                          className={inputClass('config.secret')}
+                          placeholder="Optional; signs requests with HMAC-SHA256"
+                        />
+                      </div>
+                    )}
+                  </>
+                )}
+
+                <div className="flex items-center space-x-6 text-sm text-gray-700">
+                  {['firing', 'resolved'].map(event => (
+                    <label key={event} className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={formData.events.includes(event)}
+                        onChange={() => toggleEvent(event)}
+                        className="rounded border-gray-300"
+                      />
+                      <span>Notify when {event}</span>
+                    </label>
+                  ))}
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={formData.enabled}
+                      onChange={(e) => setFormData({...formData, enabled: e.target.checked})}
+                      className="rounded border-gray-300"
+                    />
+                    <span>Enabled</span>
+                  </label>
+                </div>
+                <FieldError field="events" />
+              </div>
+
+              {/* Modal Footer */}
+              <div className="flex justify-end space-x-3 pt-6 mt-6 border-t border-gray-200">
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="px-6 py-3 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-6 py-3 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors"
+                >
+                  {editingChannel ? 'Update Channel' : 'Create Channel'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+import React from 'react';
+import { useAuthContext } from '../context/AuthContext.jsx';
+
+// Renders its children only for users whose role grants `permission`.
+// The backend enforces the same permissions; this just hides what would fail.
+export default function RequirePermission({ permission, fallback = null, children }) {
+  const { can } = useAuthContext();
+  return can(permission) ? children : fallback;
+}
@@ -0,0 +1,39 @@
+import React from 'react';
+
+const TOOL_LABELS = {
+  get_current_metrics: 'Current metrics',
+  get_metric_history: 'Metric history',
+  get_active_alerts: 'Active alerts',
+  list_hosts: 'Host list',
+  get_user_counts: 'User counts'
+};
+
+const describeArguments = args => Object.entries(args || {}).map(([key, value]) => `${key}: ${value}`).join(', ');
+
+// The live-data lookups behind an assistant reply, each expandable to show
+// what was asked and what came back
+export default function ToolCallList({ tools }) {
+  return (
+    <div className="mb-2 space-y-1">
+      {tools.map(tool => {
+        const failed = tool.result && tool.result.error;
+        return (
+          <details key={tool.id} className="text-xs border border-gray-200 rounded-lg bg-gray-50">
+            <summary className="px-2 py-1 cursor-pointer select-none flex items-center space-x-2 text-gray-600">
+              <span className={`w-2 h-2 rounded-full ${
+                tool.result === undefined ? 'bg-yellow-400 animate-pulse' : failed ? 'bg-red-500' : 'bg-green-500'
+              }`}></span>
+              <span className="font-medium">{TOOL_LABELS[tool.name] || tool.name}</span>
+              {describeArguments(tool.arguments) && (
+                <span className="text-gray-400 truncate">({describeArguments(tool.arguments)})</span>
+              )}
+            </summary>
+            <pre className="px-2 pb-2 max-h-48 overflow-auto whitespace-pre-wrap break-all text-gray-700">
+              {tool.result === undefined ? 'Waiting for result...' : JSON.stringify(tool.result, null, 2)}
+            </pre>
+          </details>
+        );
+      })}
+    </div>
+  );
+}
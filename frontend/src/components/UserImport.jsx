@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { importUsers } from '../api/users.js';
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  unchanged: 'bg-gray-100 text-gray-700',
+  reject: 'bg-red-100 text-red-800'
+};
+
+const formatDetails = (row) => {
+  if (row.action === 'reject') {
+    return Object.entries(row.errors).map(([field, message]) => (field === '_' ? message : `${field}: ${message}`)).join('; ');
+  }
+  if (row.action === 'unchanged') return 'Already up to date';
+  return Object.entries(row.changes).map(([field, value]) => `${field} = ${value}`).join(', ');
+};
+
+// Upload a CSV or JSON file, preview what it would change, then apply it
+export default function UserImport({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (dryRun) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await importUsers({ ...file, dryRun });
+      if (dryRun) {
+        setPreview(result);
+      } else {
+        onImported(result);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    setPreview(null);
+    if (!selected) return;
+    const format = selected.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    setFile({ name: selected.name, format, content: await selected.text() });
+  };
+
+  const changeCount = preview ? preview.summary.create + preview.summary.update : 0;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+      <div className="relative bg-white rounded-2xl shadow-2xl w-full max-w-3xl mx-auto">
+        {/* Modal Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h3 className="text-xl font-semibold text-gray-900">Import Users</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6 space-y-5">
+          <p className="text-sm text-gray-600">
+            Upload a CSV file with a header row of <code>name,email,role,status</code>, or a JSON array of users.
+            Rows are matched to existing users by email; empty cells leave a field unchanged.
+          </p>
+
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFile}
+            className="block w-full text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+          />
+
+          {error && (
+            <div className="p-3 bg-red-50 text-red-700 text-sm rounded-lg">{error}</div>
+          )}
+
+          {preview && (
+            <div className="space-y-3">
+              <div className="flex flex-wrap gap-2 text-sm">
+                {Object.entries(preview.summary).map(([action, count]) => (
+                  <span key={action} className={`inline-flex px-3 py-1 rounded-full font-medium ${ACTION_STYLES[action]}`}>
+                    {count} {action === 'reject' ? 'rejected' : action === 'unchanged' ? 'unchanged' : `to ${action}`}
+                  </span>
+                ))}
+              </div>
+              <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {preview.rows.map((row) => (
+                      <tr key={row.row}>
+                        <td className="px-4 py-2 text-gray-500">{row.row}</td>
+                        <td className="px-4 py-2 text-gray-900">{row.email || '—'}</td>
+                        <td className="px-4 py-2">
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${ACTION_STYLES[row.action]}`}>
+                            {row.action}
+                          </span>
+                        </td>
+                        <td className={`px-4 py-2 ${row.action === 'reject' ? 'text-red-600' : 'text-gray-600'}`}>{formatDetails(row)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-6 py-3 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          {preview ? (
+            <button
+              onClick={() => run(false)}
+              disabled={busy || changeCount === 0}
+              className="px-6 py-3 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {changeCount === 0 ? 'Nothing to import' : `Import ${changeCount} user${changeCount === 1 ? '' : 's'}`}
+            </button>
+          ) : (
+            <button
+              onClick={() => run(true)}
+              disabled={busy || !file}
+              className="px-6 py-3 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? 'Checking...' : 'Preview import'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
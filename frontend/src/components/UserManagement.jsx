@@ -1,11 +1,38 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchUsers as fetchUserPage, createUser, updateUser, deleteUser, bulkUpdateUsers, exportUsers } from '../api/users.js';
+import RequirePermission from './RequirePermission.jsx';
+import UserImport from './UserImport.jsx';
+import UserSessions from './UserSessions.jsx';
+
+const ROLES = ['admin', 'moderator', 'user'];
+const STATUSES = ['active', 'inactive'];
+const PAGE_SIZE = 25;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const CHIP_STYLES = {
+  on: 'bg-blue-600 text-white border-blue-600',
+  off: 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+};
 
 export default function UserManagement() {
   const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [counts, setCounts] = useState({ total: 0, roles: {}, statuses: {} });
+  const [search, setSearch] = useState('');
+  const [q, setQ] = useState('');
+  const [roles, setRoles] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [sort, setSort] = useState({ field: 'name', order: 'asc' });
+  const [page, setPage] = useState(1);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [showImport, setShowImport] = useState(false);
+  const [sessionsUser, setSessionsUser] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [bulkRole, setBulkRole] = useState('user');
+  const [bulkMessage, setBulkMessage] = useState(null);
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -13,40 +40,125 @@ export default function UserManagement() {
     status: 'active'
   });
 
-  useEffect(() => {
-    fetchUsers();
-  }, []);
+  // Filters and sort shared by the list and the CSV export
+  const filterParams = useCallback(() => ({
+    q: q || undefined,
+    role: roles.join(',') || undefined,
+    status: statuses.join(',') || undefined,
+    sort: sort.field,
+    order: sort.order
+  }), [q, roles, statuses, sort]);
 
-  const fetchUsers = async () => {
+  const fetchUsers = useCallback(async () => {
     try {
-      const response = await axios.get('http://localhost:4000/api/users');
-      setUsers(response.data);
+      const data = await fetchUserPage({ ...filterParams(), page, pageSize: PAGE_SIZE });
+      // Deleting the last user on a page leaves it empty; step back one
+      if (data.users.length === 0 && page > 1) {
+        setPage(page - 1);
+        return;
+      }
+      setUsers(data.users);
+      setTotal(data.total);
+      setCounts(data.counts);
     } catch (error) {
       console.error('Error fetching users:', error);
     } finally {
       setLoading(false);
     }
+  }, [filterParams, page]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  // A selection only makes sense for the rows currently on screen
+  useEffect(() => {
+    setSelected([]);
+  }, [filterParams, page]);
+
+  // Query the server once typing pauses rather than on every keystroke
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setQ(search.trim());
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  const toggleFilter = (values, setValues, value) => {
+    setValues(values.includes(value) ? values.filter(v => v !== value) : [...values, value]);
+    setPage(1);
+  };
+
+  const toggleSort = (field) => {
+    setSort(sort.field === field ? { field, order: sort.order === 'asc' ? 'desc' : 'asc' } : { field, order: 'asc' });
+    setPage(1);
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  const allSelected = users.length > 0 && users.every(user => selected.includes(user.id));
+
+  const toggleSelected = (id) => {
+    setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? [] : users.map(user => user.id));
+  };
+
+  const handleBulk = async (action) => {
+    if (action === 'delete' && !window.confirm(`Delete ${selected.length} selected user${selected.length === 1 ? '' : 's'}?`)) {
+      return;
+    }
+    try {
+      const result = await bulkUpdateUsers(selected, action, action === 'setRole' ? bulkRole : undefined);
+      const firstError = result.results.find(r => !r.ok)?.error;
+      setBulkMessage(result.failed > 0
+        ? { type: 'error', text: `${result.succeeded} updated, ${result.failed} failed: ${firstError}` }
+        : { type: 'success', text: `${result.succeeded} user${result.succeeded === 1 ? '' : 's'} updated` });
+      setSelected([]);
+      fetchUsers();
+    } catch (error) {
+      setBulkMessage({ type: 'error', text: error.response?.data?.error || error.message });
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await exportUsers(filterParams());
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `users-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting users:', error);
+    }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       if (editingUser) {
-        await axios.put(`http://localhost:4000/api/users/${editingUser.id}`, formData);
+        await updateUser(editingUser.id, formData);
       } else {
-        await axios.post('http://localhost:4000/api/users', formData);
+        await createUser(formData);
       }
       fetchUsers();
       resetForm();
     } catch (error) {
-      console.error('Error saving user:', error);
+      // Field errors go next to their inputs, anything else above the form
+      const data = error.response?.data;
+      setFieldErrors(data?.fields || { _: data?.error || error.message });
     }
   };
 
   const handleDelete = async (userId) => {
     if (window.confirm('Are you sure you want to delete this user?')) {
       try {
-        await axios.delete(`http://localhost:4000/api/users/${userId}`);
+        await deleteUser(userId);
         fetchUsers();
       } catch (error) {
         console.error('Error deleting user:', error);
@@ -68,9 +180,27 @@ export default function UserManagement() {
   const resetForm = () => {
     setFormData({ name: '', email: '', role: 'user', status: 'active' });
     setEditingUser(null);
+    setFieldErrors({});
     setShowModal(false);
   };
 
+  const inputClass = (field) => `w-full border rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+    fieldErrors[field] ? 'border-red-400' : 'border-gray-300'
+  }`;
+
+  const SortHeader = ({ field, label }) => (
+    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+      <button onClick={() => toggleSort(field)} className="inline-flex items-center uppercase tracking-wider hover:text-gray-700">
+        {label}
+        <span className="ml-1">{sort.field === field ? (sort.order === 'asc' ? '▲' : '▼') : ''}</span>
+      </button>
+    </th>
+  );
+
+  const FieldError = ({ field }) => (
+    fieldErrors[field] ? <p className="mt-1 text-xs text-red-600">{fieldErrors[field]}</p> : null
+  );
+
   const getRoleBadgeColor = (role) => {
     switch (role) {
       case 'admin': return 'bg-red-100 text-red-800';
@@ -101,12 +231,28 @@ export default function UserManagement() {
           <h2 className="text-2xl font-bold text-gray-900">User Management</h2>
           <p className="text-gray-600">Manage system users and their permissions</p>
         </div>
-        <button
-          onClick={() => setShowModal(true)}
-          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
-        >
-          Add New User
-        </button>
+        <div className="flex space-x-3">
+          <button
+            onClick={handleExport}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Export CSV
+          </button>
+          <RequirePermission permission="users:write">
+            <button
+              onClick={() => setShowImport(true)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              Import
+            </button>
+            <button
+              onClick={() => setShowModal(true)}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              Add New User
+            </button>
+          </RequirePermission>
+        </div>
       </div>
 
       {/* Stats Cards */}
@@ -120,7 +266,7 @@ export default function UserManagement() {
             </div>
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Total Users</p>
-              <p className="text-2xl font-bold text-gray-900">{users.length}</p>
+              <p className="text-2xl font-bold text-gray-900">{counts.total}</p>
             </div>
           </div>
         </div>
@@ -135,7 +281,7 @@ export default function UserManagement() {
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Active Users</p>
               <p className="text-2xl font-bold text-gray-900">
-                {users.filter(u => u.status === 'active').length}
+                {counts.statuses.active || 0}
               </p>
             </div>
           </div>
@@ -151,7 +297,7 @@ export default function UserManagement() {
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Admins</p>
               <p className="text-2xl font-bold text-gray-900">
-                {users.filter(u => u.role === 'admin').length}
+                {counts.roles.admin || 0}
               </p>
             </div>
           </div>
@@ -160,33 +306,120 @@ export default function UserManagement() {
 
       {/* Users Table */}
       <div className="bg-white rounded-xl shadow-lg overflow-hidden">
-        <div className="px-6 py-4 border-b border-gray-200">
-          <h3 className="text-lg font-medium text-gray-900">All Users</h3>
+        <div className="px-6 py-4 border-b border-gray-200 space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h3 className="text-lg font-medium text-gray-900">All Users</h3>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name or email..."
+              className="w-full sm:w-72 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {ROLES.map((role) => (
+              <button
+                key={role}
+                onClick={() => toggleFilter(roles, setRoles, role)}
+                className={`px-3 py-1 rounded-full border capitalize transition-colors ${CHIP_STYLES[roles.includes(role) ? 'on' : 'off']}`}
+              >
+                {role} ({counts.roles[role] || 0})
+              </button>
+            ))}
+            <span className="mx-1 h-5 border-l border-gray-300"></span>
+            {STATUSES.map((status) => (
+              <button
+                key={status}
+                onClick={() => toggleFilter(statuses, setStatuses, status)}
+                className={`px-3 py-1 rounded-full border capitalize transition-colors ${CHIP_STYLES[statuses.includes(status) ? 'on' : 'off']}`}
+              >
+                {status} ({counts.statuses[status] || 0})
+              </button>
+            ))}
+            {(roles.length > 0 || statuses.length > 0 || q) && (
+              <button
+                onClick={() => { setRoles([]); setStatuses([]); setSearch(''); setPage(1); }}
+                className="px-2 py-1 text-blue-600 hover:text-blue-800 transition-colors"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+          {bulkMessage && (
+            <div className={`flex justify-between p-3 text-sm rounded-lg ${bulkMessage.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+              <span>{bulkMessage.text}</span>
+              <button onClick={() => setBulkMessage(null)} className="ml-4 font-medium">Dismiss</button>
+            </div>
+          )}
+          {selected.length > 0 && (
+            <div className="flex flex-wrap items-center gap-3 p-3 bg-blue-50 rounded-lg text-sm">
+              <span className="font-medium text-blue-900">{selected.length} selected</span>
+              <button onClick={() => handleBulk('activate')} className="px-3 py-1 rounded-lg bg-white border border-gray-300 hover:bg-gray-50">
+                Activate
+              </button>
+              <button onClick={() => handleBulk('deactivate')} className="px-3 py-1 rounded-lg bg-white border border-gray-300 hover:bg-gray-50">
+                Deactivate
+              </button>
+              <div className="flex items-center gap-1">
+                <select
+                  value={bulkRole}
+                  onChange={(e) => setBulkRole(e.target.value)}
+                  className="border border-gray-300 rounded-lg px-2 py-1 capitalize"
+                >
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <button onClick={() => handleBulk('setRole')} className="px-3 py-1 rounded-lg bg-white border border-gray-300 hover:bg-gray-50">
+                  Set role
+                </button>
+              </div>
+              <button onClick={() => handleBulk('delete')} className="px-3 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700">
+                Delete
+              </button>
+              <button onClick={() => setSelected([])} className="ml-auto text-blue-600 hover:text-blue-800">
+                Clear selection
+              </button>
+            </div>
+          )}
         </div>
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  User
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Role
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Status
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Last Login
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
+                <RequirePermission permission="users:write">
+                  <th className="pl-6 py-3 w-4">
+                    <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all users on this page" />
+                  </th>
+                </RequirePermission>
+                <SortHeader field="name" label="User" />
+                <SortHeader field="role" label="Role" />
+                <SortHeader field="status" label="Status" />
+                <SortHeader field="lastLogin" label="Last Login" />
+                <RequirePermission permission="users:write">
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </RequirePermission>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
+              {users.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">No users match the current filters</td>
+                </tr>
+              )}
               {users.map((user) => (
                 <tr key={user.id} className="hover:bg-gray-50">
+                  <RequirePermission permission="users:write">
+                    <td className="pl-6 py-4 w-4">
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(user.id)}
+                        onChange={() => toggleSelected(user.id)}
+                        aria-label={`Select ${user.name}`}
+                      />
+                    </td>
+                  </RequirePermission>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="flex items-center">
                       <div className="flex-shrink-0 h-10 w-10">
@@ -213,30 +446,74 @@ export default function UserManagement() {
                     </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {new Date(user.lastLogin).toLocaleDateString()}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <button
-                      onClick={() => handleEdit(user)}
-                      className="text-indigo-600 hover:text-indigo-900 mr-3 transition-colors"
-                    >
-                      Edit
-                    </button>
-                    <button
-                      onClick={() => handleDelete(user.id)}
-                      className="text-red-600 hover:text-red-900 transition-colors"
-                    >
-                      Delete
-                    </button>
+                    {user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never'}
                   </td>
+                  <RequirePermission permission="users:write">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <button
+                        onClick={() => setSessionsUser(user)}
+                        className="text-gray-600 hover:text-gray-900 mr-3 transition-colors"
+                      >
+                        Sessions
+                      </button>
+                      <button
+                        onClick={() => handleEdit(user)}
+                        className="text-indigo-600 hover:text-indigo-900 mr-3 transition-colors"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(user.id)}
+                        className="text-red-600 hover:text-red-900 transition-colors"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </RequirePermission>
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
+        <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+          <span>
+            {total === 0 ? 'No users' : `Showing ${(page - 1) * PAGE_SIZE + 1}–${Math.min(page * PAGE_SIZE, total)} of ${total}`}
+          </span>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Previous
+            </button>
+            <span>Page {page} of {pageCount}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pageCount}
+              className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Next
+            </button>
+          </div>
+        </div>
       </div>
 
       {/* Modal */}
+      {showImport && (
+        <UserImport
+          onClose={() => setShowImport(false)}
+          onImported={() => {
+            setShowImport(false);
+            fetchUsers();
+          }}
+        />
+      )}
+
+      {sessionsUser && (
+        <UserSessions user={sessionsUser} onClose={() => setSessionsUser(null)} />
+      )}
+
       {showModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
           <div className="relative bg-white rounded-2xl shadow-2xl w-full max-w-lg mx-auto">
@@ -258,6 +535,10 @@ export default function UserManagement() {
             {/* Modal Body */}
             <form onSubmit={handleSubmit} className="p-6">
               <div className="space-y-5">
+                {fieldErrors._ && (
+                  <div className="p-3 bg-red-50 text-red-700 text-sm rounded-lg">{fieldErrors._}</div>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Full Name
@@ -267,9 +548,10 @@ export default function UserManagement() {
                     required
                     value={formData.name}
                     onChange={(e) => setFormData({...formData, name: e.target.value})}
-                    className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                    className={inputClass('name')}
                     placeholder="Enter full name"
                   />
+                  <FieldError field="name" />
                 </div>
 
                 <div>
@@ -281,9 +563,10 @@ export default function UserManagement() {
                     required
                     value={formData.email}
                     onChange={(e) => setFormData({...formData, email: e.target.value})}
-                    className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                    className={inputClass('email')}
                     placeholder="Enter email address"
                   />
+                  <FieldError field="email" />
                 </div>
 
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
@@ -294,12 +577,13 @@ export default function UserManagement() {
                     <select
                       value={formData.role}
                       onChange={(e) => setFormData({...formData, role: e.target.value})}
-                      className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      className={inputClass('role')}
                     >
                       <option value="user">User</option>
                       <option value="moderator">Moderator</option>
                       <option value="admin">Admin</option>
                     </select>
+                    <FieldError field="role" />
                   </div>
 
                   <div>
@@ -309,11 +593,12 @@ export default function UserManagement() {
                     <select
                       value={formData.status}
                       onChange={(e) => setFormData({...formData, status: e.target.value})}
-                      className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      className={inputClass('status')}
                     >
                       <option value="active">Active</option>
                       <option value="inactive">Inactive</option>
                     </select>
+                    <FieldError field="status" />
                   </div>
                 </div>
 
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchUserSessions, revokeUserSession, revokeUserSessions, fetchUserLogins } from '../api/users.js';
+import RequirePermission from './RequirePermission.jsx';
+
+// A user's signed-in sessions, which admins can revoke, and recent sign-ins
+export default function UserSessions({ user, onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [logins, setLogins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [sessionList, loginList] = await Promise.all([fetchUserSessions(user.id), fetchUserLogins(user.id)]);
+      setSessions(sessionList);
+      setLogins(loginList);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const revoke = async (sessionId) => {
+    const message = sessionId
+      ? 'Sign this session out?'
+      : `Sign ${user.name} out of all ${sessions.length} sessions?`;
+    if (!window.confirm(message)) return;
+    try {
+      if (sessionId) {
+        await revokeUserSession(user.id, sessionId);
+      } else {
+        await revokeUserSessions(user.id);
+      }
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
+      <div className="relative bg-white rounded-2xl shadow-2xl w-full max-w-3xl mx-auto">
+        {/* Modal Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900">Sessions</h3>
+            <p className="text-sm text-gray-500">{user.name} · {user.email}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className="p-3 bg-red-50 text-red-700 text-sm rounded-lg">{error}</div>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center items-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <>
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-medium text-gray-900">Active sessions ({sessions.length})</h4>
+                  {sessions.length > 0 && (
+                    <RequirePermission permission="users:write">
+                      <button onClick={() => revoke(null)} className="text-sm text-red-600 hover:text-red-800 transition-colors">
+                        Sign out everywhere
+                      </button>
+                    </RequirePermission>
+                  )}
+                </div>
+                {sessions.length === 0 ? (
+                  <p className="text-sm text-gray-500">No active sessions</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                    {sessions.map((session) => (
+                      <li key={session.id} className="flex items-center justify-between px-4 py-3 text-sm">
+                        <div className="min-w-0">
+                          <p className="text-gray-900 truncate">
+                            {session.userAgent || 'Unknown browser'}
+                            {session.current && (
+                              <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                                This session
+                              </span>
+                            )}
+                          </p>
+                          <p className="text-gray-500">
+                            {session.ip} · signed in {new Date(session.createdAt).toLocaleString()} · last active {new Date(session.lastSeenAt).toLocaleString()}
+                          </p>
+                        </div>
+                        <RequirePermission permission="users:write">
+                          <button onClick={() => revoke(session.id)} className="ml-4 text-red-600 hover:text-red-800 transition-colors">
+                            Revoke
+                          </button>
+                        </RequirePermission>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              <div>
+                <h4 className="font-medium text-gray-900 mb-2">Recent sign-ins</h4>
+                {logins.length === 0 ? (
+                  <p className="text-sm text-gray-500">No sign-ins recorded</p>
+                ) : (
+                  <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                      <thead className="bg-gray-50 sticky top-0">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Browser</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {logins.map((login) => (
+                          <tr key={login.timestamp}>
+                            <td className="px-4 py-2 whitespace-nowrap text-gray-500">{new Date(login.timestamp).toLocaleString()}</td>
+                            <td className={`px-4 py-2 whitespace-nowrap ${login.success ? 'text-green-700' : 'text-red-600'}`}>
+                              {login.success ? 'Signed in' : `Refused: ${login.reason}`}
+                            </td>
+                            <td className="px-4 py-2 whitespace-nowrap text-gray-500">{login.ip}</td>
+                            <td className="px-4 py-2 text-gray-500 truncate max-w-xs">{login.userAgent}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,40 @@
-import React, { createContext, useState, useContext } from 'react';
-import { useAuth as useGoogleAuth } from '../api/auth.js';
+import React, { createContext, useState, useContext, useEffect } from 'react';
+import axios from 'axios';
+import { signIn, fetchSession, signOut } from '../api/auth.js';
 
 const AuthContext = createContext();
 export function AuthProvider({ children }) {
-  const google = useGoogleAuth();
-  const [user, setUser] = useState(() => JSON.parse(localStorage.getItem('user')));
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
 
-  const login = () => google.login(userInfo => { setUser(userInfo); });
-  const logout = () => { google.logout(); setUser(null); };
+  // Restore the session from the cookie, if the server still knows it
+  useEffect(() => {
+    fetchSession()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Any 401 means the session has expired or was revoked
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(null, error => {
+      if (error.response && error.response.status === 401) setUser(null);
+      return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  const can = permission => Boolean(user && user.permissions && user.permissions.includes(permission));
+  const login = async credential => setUser(await signIn(credential));
+  const logout = async () => {
+    await signOut().catch(() => {});
+    setUser(null);
+  };
 
   return (
-    <AuthContext.Provider value={{ user, login, logout }}>
+    <AuthContext.Provider value={{ user, loading, can, login, logout }}>
       {children}
     </AuthContext.Provider>
   );
 }
-export const useAuthContext = () => useContext(AuthContext);
\ No newline at end of file
+export const useAuthContext = () => useContext(AuthContext);
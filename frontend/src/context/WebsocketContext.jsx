@@ -1,13 +1,23 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
+import { useAuthContext } from './AuthContext.jsx';
 const WsContext = createContext();
 export function WebsocketProvider({ children }) {
+  const { user } = useAuthContext();
   const [metrics, setMetrics] = useState({});
+  const [hosts, setHosts] = useState([]);
+  const [alerts, setAlerts] = useState({ active: [], resolved: [] });
+  const [alertRules, setAlertRules] = useState([]);
   useEffect(() => {
-    const socket = io('http://localhost:4000');
+    // The server only accepts sockets that carry a session cookie
+    if (!user) return;
+    const socket = io('http://localhost:4000', { withCredentials: true });
     socket.on('metrics', data => setMetrics(data));
+    socket.on('hosts', data => setHosts(data));
+    socket.on('alerts', data => setAlerts(data));
+    socket.on('alertRules', data => setAlertRules(data));
     return () => socket.disconnect();
-  }, []);
-  return <WsContext.Provider value={{ metrics }}>{children}</WsContext.Provider>;
+  }, [user]);
+  return <WsContext.Provider value={{ metrics, hosts, alerts, alertRules }}>{children}</WsContext.Provider>;
 }
 export const useWsContext = () => useContext(WsContext);
\ No newline at end of file
@@ -1,18 +1,107 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import Navbar from '../components/Navbar.jsx';
-import { handleAsk } from '../api/chat.js';
+import ToolCallList from '../components/ToolCallList.jsx';
+import ConversationSidebar from '../components/ConversationSidebar.jsx';
+import MarkdownMessage, { hasWideContent } from '../components/MarkdownMessage.jsx';
+import { handleAsk, fetchModels } from '../api/chat.js';
+import { fetchConversation, createConversation, updateConversation } from '../api/conversations.js';
+
+const greeting = () => [
+  {
+    from: 'bot',
+    text: 'Hello! I\'m your AI assistant for CIS Operations. I can help you with system monitoring, troubleshooting, and general IT questions. How can I assist you today?',
+    timestamp: new Date().toISOString()
+  }
+];
+
+// Which conversation to reopen when the user comes back to the page
+const OPEN_CONVERSATION_KEY = 'chatConversationId';
 
 export default function ChatPage() {
-  const [messages, setMessages] = useState([
-    {
-      from: 'bot',
-      text: 'Hello! I\'m your AI assistant for CIS Operations. I can help you with system monitoring, troubleshooting, and general IT questions. How can I assist you today?',
-      timestamp: new Date().toISOString()
-    }
-  ]);
+  const [messages, setMessages] = useState(greeting);
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [catalog, setCatalog] = useState(null);
+  const [choice, setChoice] = useState(null);
+  const [conversationId, setConversationId] = useState(null);
+  const [savedVersion, setSavedVersion] = useState(0);
+  const [saveError, setSaveError] = useState(null);
   const messagesEndRef = useRef(null);
+  const abortRef = useRef(null);
+  // The open conversation, whose id is filled in once its first save
+  // creates it, and the messages as last saved or loaded
+  const draftRef = useRef({ id: null });
+  const savedRef = useRef(null);
+  const saveChainRef = useRef(Promise.resolve());
+
+  const startDraft = (id, loaded) => {
+    draftRef.current = { id };
+    savedRef.current = loaded;
+    setConversationId(id);
+    setMessages(loaded);
+    setSaveError(null);
+    if (id) {
+      sessionStorage.setItem(OPEN_CONVERSATION_KEY, id);
+    } else {
+      sessionStorage.removeItem(OPEN_CONVERSATION_KEY);
+    }
+  };
+
+  const openConversation = useCallback(async (id) => {
+    try {
+      const conversation = await fetchConversation(id);
+      startDraft(id, conversation.messages);
+    } catch (err) {
+      // Deleted since, most likely; start afresh
+      startDraft(null, greeting());
+    }
+  }, []);
+
+  useEffect(() => {
+    const id = sessionStorage.getItem(OPEN_CONVERSATION_KEY);
+    if (id) openConversation(id);
+  }, [openConversation]);
+
+  const handleDeleted = (id) => {
+    if (id === draftRef.current.id) startDraft(null, greeting());
+  };
+
+  // Save each finished exchange, so half-streamed replies are never stored.
+  // Saves run one at a time, so the first creates exactly one conversation.
+  useEffect(() => {
+    if (isTyping || savedRef.current === messages || !messages.some(message => message.from === 'user')) return;
+    savedRef.current = messages;
+    const draft = draftRef.current;
+    saveChainRef.current = saveChainRef.current.then(async () => {
+      try {
+        if (draft.id) {
+          await updateConversation(draft.id, { messages });
+        } else {
+          draft.id = (await createConversation({ messages })).id;
+          if (draftRef.current === draft) {
+            setConversationId(draft.id);
+            sessionStorage.setItem(OPEN_CONVERSATION_KEY, draft.id);
+          }
+        }
+        setSaveError(null);
+        setSavedVersion(version => version + 1);
+      } catch (err) {
+        setSaveError(err.response?.data?.error || err.message);
+      }
+    });
+  }, [messages, isTyping]);
+
+  // Without the list the picker stays hidden and the backend's default is used
+  useEffect(() => {
+    fetchModels()
+      .then(data => {
+        setCatalog(data);
+        setChoice({ provider: data.defaultProvider, model: data.defaultModel });
+      })
+      .catch(() => setCatalog(null));
+  }, []);
+
+  const chosenProvider = catalog && choice && catalog.providers.find(p => p.id === choice.provider);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -26,13 +115,23 @@ export default function ChatPage() {
     if (!input.trim() || isTyping) return;
     
     setIsTyping(true);
+    abortRef.current = new AbortController();
     
-    // Use the handleAsk function directly
-    await handleAsk(input, setMessages, setInput);
+    await handleAsk(input, setMessages, setInput, {
+      signal: abortRef.current.signal,
+      history: messages,
+      ...choice
+    });
     
+    abortRef.current = null;
     setIsTyping(false);
   };
 
+  const stop = () => abortRef.current?.abort();
+
+  // Abandon a generation still running when the page is left
+  useEffect(() => () => abortRef.current?.abort(), []);
+
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString('en-US', {
       hour: '2-digit',
@@ -58,7 +157,7 @@ export default function ChatPage() {
       
       {/* Header */}
       <div className="bg-gradient-to-r from-blue-900 via-blue-800 to-indigo-900 text-white py-8 shadow-lg">
-        <div className="max-w-4xl mx-auto px-6">
+        <div className="max-w-6xl mx-auto px-6">
           <div className="flex items-center space-x-4">
             <div className="p-3 bg-white/10 backdrop-blur-sm rounded-full">
               <svg className="w-8 h-8 text-blue-200" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -73,104 +172,166 @@ export default function ChatPage() {
         </div>
       </div>
 
-      <div className="max-w-4xl mx-auto px-6 py-8">
-        <div className="bg-white rounded-2xl shadow-xl overflow-hidden">
-          {/* Chat Messages */}
-          <div className="h-96 overflow-y-auto p-6 space-y-4 bg-gray-50">
-            {messages.map((message, index) => (
-              <div
-                key={index}
-                className={`flex ${message.from === 'user' ? 'justify-end' : 'justify-start'}`}
-              >
-                <div className={`max-w-xs lg:max-w-md px-4 py-3 rounded-2xl ${
-                  message.from === 'user'
-                    ? 'bg-blue-600 text-white'
-                    : 'bg-white border border-gray-200 text-gray-800 shadow-sm'
-                }`}>
-                  <div className="flex items-start space-x-2">
-                    {message.from === 'bot' && (
-                      <div className="flex-shrink-0 w-6 h-6 bg-blue-100 rounded-full flex items-center justify-center mt-0.5">
-                        <svg className="w-3 h-3 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-                        </svg>
+      <div className="max-w-6xl mx-auto px-6 py-8">
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="lg:col-span-1 h-72 lg:h-auto">
+            <ConversationSidebar
+              activeId={conversationId}
+              version={savedVersion}
+              disabled={isTyping}
+              onSelect={openConversation}
+              onNew={() => startDraft(null, greeting())}
+              onDeleted={handleDeleted}
+            />
+          </div>
+          <div className="lg:col-span-3 bg-white rounded-2xl shadow-xl overflow-hidden">
+            {/* Chat Messages */}
+            <div className="h-96 overflow-y-auto p-6 space-y-4 bg-gray-50">
+              {messages.map((message, index) => (
+                <div
+                  key={index}
+                  className={`flex ${message.from === 'user' ? 'justify-end' : 'justify-start'}`}
+                >
+                  <div className={`${
+                    hasWideContent(message.text) ? 'max-w-full lg:max-w-3xl' : 'max-w-xs lg:max-w-md'
+                  } px-4 py-3 rounded-2xl ${
+                    message.from === 'user'
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-white border border-gray-200 text-gray-800 shadow-sm'
+                  }`}>
+                    <div className="flex items-start space-x-2">
+                      {message.from === 'bot' && (
+                        <div className="flex-shrink-0 w-6 h-6 bg-blue-100 rounded-full flex items-center justify-center mt-0.5">
+                          <svg className="w-3 h-3 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                          </svg>
+                        </div>
+                      )}
+                      <div className="flex-1 min-w-0">
+                        {message.tools && <ToolCallList tools={message.tools} />}
+                        {message.streaming && !message.text ? (
+                          <div className="flex space-x-1 py-1.5">
+                            <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
+                            <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{animationDelay: '0.1s'}}></div>
+                            <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{animationDelay: '0.2s'}}></div>
+                          </div>
+                        ) : message.from === 'user' ? (
+                          <p className="text-sm leading-relaxed whitespace-pre-wrap">{message.text}</p>
+                        ) : (
+                          <>
+                            <MarkdownMessage text={message.text} />
+                            {message.streaming && <span className="inline-block w-1.5 h-4 bg-gray-400 animate-pulse"></span>}
+                          </>
+                        )}
+                        {message.fallback && (
+                          <p className="text-xs mt-1 text-amber-600">Answered by {message.model}: the selected model failed ({message.fallback})</p>
+                        )}
+                        {message.stopped && (
+                          <p className="text-xs mt-1 italic text-gray-500">Generation stopped</p>
+                        )}
+                        {message.error && (
+                          <p className="text-xs mt-1 text-red-600">Error: {message.error}</p>
+                        )}
+                        <p className={`text-xs mt-1 ${
+                          message.from === 'user' ? 'text-blue-200' : 'text-gray-500'
+                        }`}>
+                          {formatTime(message.timestamp)}
+                          {message.from === 'bot' && message.model && !message.streaming && ` · ${message.model}`}
+                        </p>
                       </div>
-                    )}
-                    <div className="flex-1">
-                      <p className="text-sm leading-relaxed">{message.text}</p>
-                      <p className={`text-xs mt-1 ${
-                        message.from === 'user' ? 'text-blue-200' : 'text-gray-500'
-                      }`}>
-                        {formatTime(message.timestamp)}
-                      </p>
                     </div>
                   </div>
                 </div>
-              </div>
-            ))}
-            
-            {isTyping && (
-              <div className="flex justify-start">
-                <div className="bg-white border border-gray-200 rounded-2xl px-4 py-3 shadow-sm">
-                  <div className="flex items-center space-x-2">
-                    <div className="w-6 h-6 bg-blue-100 rounded-full flex items-center justify-center">
-                      <svg className="w-3 h-3 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-                      </svg>
-                    </div>
-                    <div className="flex space-x-1">
-                      <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
-                      <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{animationDelay: '0.1s'}}></div>
-                      <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{animationDelay: '0.2s'}}></div>
-                    </div>
-                  </div>
+              ))}
+              
+              <div ref={messagesEndRef} />
+            </div>
+
+            {/* Suggested Questions */}
+            {messages.length === 1 && (
+              <div className="px-6 py-4 bg-blue-50 border-t border-blue-100">
+                <p className="text-sm font-medium text-gray-700 mb-3">Try asking:</p>
+                <div className="flex flex-wrap gap-2">
+                  {suggestedQuestions.map((question, index) => (
+                    <button
+                      key={index}
+                      onClick={() => handleSuggestionClick(question)}
+                      className="px-3 py-1 bg-white hover:bg-blue-100 text-blue-700 text-xs rounded-full border border-blue-200 transition-colors"
+                    >
+                      {question}
+                    </button>
+                  ))}
                 </div>
               </div>
             )}
-            <div ref={messagesEndRef} />
-          </div>
 
-          {/* Suggested Questions */}
-          {messages.length === 1 && (
-            <div className="px-6 py-4 bg-blue-50 border-t border-blue-100">
-              <p className="text-sm font-medium text-gray-700 mb-3">Try asking:</p>
-              <div className="flex flex-wrap gap-2">
-                {suggestedQuestions.map((question, index) => (
+            {/* Input Area */}
+            <div className="p-6 bg-white border-t border-gray-200">
+              {saveError && (
+                <p className="mb-3 text-xs text-red-600">Could not save this conversation: {saveError}</p>
+              )}
+              {chosenProvider && (
+                <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-600">
+                  <label htmlFor="chat-model" className="font-medium text-gray-700">Model</label>
+                  <select
+                    id="chat-model"
+                    value={`${choice.provider}/${choice.model}`}
+                    onChange={(e) => {
+                      const [provider, ...model] = e.target.value.split('/');
+                      setChoice({ provider, model: model.join('/') });
+                    }}
+                    disabled={isTyping}
+                    className="border border-gray-300 rounded-lg px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {catalog.providers.map(provider => (
+                      <optgroup key={provider.id} label={provider.label}>
+                        {provider.models.map(model => (
+                          <option key={model} value={`${provider.id}/${model}`}>{model}</option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                  <span className="text-xs text-gray-500">
+                    Temperature {chosenProvider.temperature ?? 'default'} · Max tokens {chosenProvider.maxTokens ?? 'default'}
+                    {catalog.fallbackProvider && catalog.fallbackProvider !== choice.provider && ' · Falls back to ' + catalog.providers.find(p => p.id === catalog.fallbackProvider).label}
+                  </span>
+                </div>
+              )}
+              <div className="flex space-x-4">
+                <div className="flex-1">
+                  <input
+                    type="text"
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && send()}
+                    placeholder="Ask me anything about system operations..."
+                    className="w-full border border-gray-300 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    disabled={isTyping}
+                  />
+                </div>
+                {isTyping ? (
                   <button
-                    key={index}
-                    onClick={() => handleSuggestionClick(question)}
-                    className="px-3 py-1 bg-white hover:bg-blue-100 text-blue-700 text-xs rounded-full border border-blue-200 transition-colors"
+                    onClick={stop}
+                    className="bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-xl font-medium transition-colors flex items-center space-x-2"
                   >
-                    {question}
+                    <span>Stop</span>
+                    <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                      <rect x="6" y="6" width="12" height="12" rx="1" />
+                    </svg>
                   </button>
-                ))}
-              </div>
-            </div>
-          )}
-
-          {/* Input Area */}
-          <div className="p-6 bg-white border-t border-gray-200">
-            <div className="flex space-x-4">
-              <div className="flex-1">
-                <input
-                  type="text"
-                  value={input}
-                  onChange={(e) => setInput(e.target.value)}
-                  onKeyDown={(e) => e.key === 'Enter' && send()}
-                  placeholder="Ask me anything about system operations..."
-                  className="w-full border border-gray-300 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  disabled={isTyping}
-                />
+                ) : (
+                  <button
+                    onClick={send}
+                    disabled={!input.trim()}
+                    className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-6 py-3 rounded-xl font-medium transition-colors flex items-center space-x-2"
+                  >
+                    <span>Send</span>
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+                    </svg>
+                  </button>
+                )}
               </div>
-              <button
-                onClick={send}
-                disabled={!input.trim() || isTyping}
-                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-6 py-3 rounded-xl font-medium transition-colors flex items-center space-x-2"
-              >
-                <span>Send</span>
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
-                </svg>
-              </button>
             </div>
           </div>
         </div>
@@ -1,13 +1,39 @@
 import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
 import Navbar from '../components/Navbar.jsx';
 import { useWsContext } from '../context/WebsocketContext.jsx';
 import MetricCard from '../components/MetricCard.jsx';
 import UserManagement from '../components/UserManagement.jsx';
+import MetricsHistory from '../components/MetricsHistory.jsx';
+import AlertManagement from '../components/AlertManagement.jsx';
+import AuditLog from '../components/AuditLog.jsx';
+import RequirePermission from '../components/RequirePermission.jsx';
+import HostList from '../components/HostList.jsx';
+import { breachedSeverity } from '../api/alerts.js';
+
+const HEALTH = {
+  critical: { label: 'Critical', banner: 'CRITICAL', bannerClass: 'text-red-400', textClass: 'text-red-600', bgClass: 'bg-red-50', dotClass: 'bg-red-500' },
+  warning: { label: 'Degraded', banner: 'DEGRADED', bannerClass: 'text-yellow-400', textClass: 'text-yellow-600', bgClass: 'bg-yellow-50', dotClass: 'bg-yellow-500' },
+  ok: { label: 'Excellent', banner: 'OPERATIONAL', bannerClass: 'text-green-400', textClass: 'text-green-600', bgClass: 'bg-green-50', dotClass: 'bg-green-500' }
+};
 
 export default function Dashboard() {
-  const { metrics } = useWsContext();
+  const { hostname } = useParams();
+  const { metrics: localMetrics, hosts, alerts, alertRules } = useWsContext();
   const [activeTab, setActiveTab] = useState('metrics');
 
+  // /dashboard shows this server; /dashboard/:hostname any reporting host
+  const selectedHost = hostname ? hosts.find(host => host.hostname === hostname) : null;
+  const unknownHost = Boolean(hostname) && !selectedHost;
+  const metrics = hostname ? (selectedHost ? selectedHost.metrics : {}) : localMetrics;
+
+  const hostAlerts = alerts.active.filter(alert => alert.hostname === metrics.hostname);
+  const firingAlerts = hostAlerts.filter(alert => alert.state === 'firing');
+  const pendingAlerts = hostAlerts.filter(alert => alert.state === 'pending');
+  const health = firingAlerts.some(alert => alert.severity === 'critical')
+    ? HEALTH.critical
+    : firingAlerts.some(alert => alert.severity === 'warning') ? HEALTH.warning : HEALTH.ok;
+
   const formatUptime = (seconds) => {
     const days = Math.floor(seconds / 86400);
     const hours = Math.floor((seconds % 86400) / 3600);
@@ -15,16 +41,28 @@ export default function Dashboard() {
     return `${days}d ${hours}h ${minutes}m`;
   };
 
+  const formatBytes = (bytes) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+  };
+
+  const formatRate = (bytesPerSec) => `${formatBytes(bytesPerSec)}/s`;
+
+  const getBarColor = (value, type) => ({
+    'text-red-600': 'bg-red-500',
+    'text-yellow-600': 'bg-yellow-500',
+    'text-green-600': 'bg-green-500'
+  })[getStatusColor(value, type)] || 'bg-blue-500';
+
+  // Colour follows the most severe alert rule the current value breaches
   const getStatusColor = (value, type) => {
-    switch (type) {
-      case 'cpu':
-        return value > 80 ? 'text-red-600' : value > 60 ? 'text-yellow-600' : 'text-green-600';
-      case 'memory':
-        return value > 85 ? 'text-red-600' : value > 70 ? 'text-yellow-600' : 'text-green-600';
-      case 'disk':
-        return value > 90 ? 'text-red-600' : value > 75 ? 'text-yellow-600' : 'text-green-600';
-      default:
-        return 'text-blue-600';
+    switch (breachedSeverity(alertRules, type, value)) {
+      case 'critical': return 'text-red-600';
+      case 'warning': return 'text-yellow-600';
+      case 'info': return 'text-blue-600';
+      default: return 'text-green-600';
     }
   };
 
@@ -38,12 +76,22 @@ export default function Dashboard() {
           <div className="flex items-center justify-between">
             <div>
               <h1 className="text-4xl font-bold mb-2">System Operations Dashboard</h1>
-              <p className="text-blue-200 text-lg">Real-time monitoring and management center</p>
+              {hostname ? (
+                <p className="text-blue-200 text-lg">
+                  Host <span className="font-semibold text-white">{hostname}</span>
+                  {selectedHost && selectedHost.status === 'offline' && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-200 text-gray-800">offline</span>
+                  )}
+                  <Link to="/dashboard" className="ml-4 text-sm text-blue-300 hover:text-white underline">Back to this server</Link>
+                </p>
+              ) : (
+                <p className="text-blue-200 text-lg">Real-time monitoring and management center</p>
+              )}
             </div>
             <div className="hidden md:block">
               <div className="bg-white/10 backdrop-blur-sm rounded-lg p-4">
                 <div className="text-sm text-blue-200">System Status</div>
-                <div className="text-2xl font-bold text-green-400">OPERATIONAL</div>
+                <div className={`text-2xl font-bold ${health.bannerClass}`}>{health.banner}</div>
               </div>
             </div>
           </div>
@@ -64,16 +112,45 @@ export default function Dashboard() {
             >
               System Metrics
             </button>
+            <RequirePermission permission="users:read">
+              <button
+                onClick={() => setActiveTab('users')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'users'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                User Management
+              </button>
+            </RequirePermission>
             <button
-              onClick={() => setActiveTab('users')}
+              onClick={() => setActiveTab('alerts')}
               className={`py-2 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'users'
+                activeTab === 'alerts'
                   ? 'border-blue-500 text-blue-600'
                   : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
               }`}
             >
-              User Management
+              Alerts
+              {alerts.active.length > 0 && (
+                <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                  {alerts.active.length}
+                </span>
+              )}
             </button>
+            <RequirePermission permission="audit:read">
+              <button
+                onClick={() => setActiveTab('audit')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'audit'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Audit
+              </button>
+            </RequirePermission>
           </nav>
         </div>
       </div>
@@ -98,6 +175,27 @@ export default function Dashboard() {
                     </svg>
                   </div>
                 </div>
+                {metrics.cpuDetail && (
+                  <div className="mt-4">
+                    <div className="flex items-end h-10 space-x-0.5">
+                      {metrics.cpuDetail.cores.map((core) => (
+                        <div
+                          key={core.core}
+                          className="flex-1 bg-gray-100 rounded-sm h-full flex items-end"
+                          title={`Core ${core.core}: ${core.usage}% (user ${core.user}%, system ${core.system}%, iowait ${core.iowait}%, steal ${core.steal}%)`}
+                        >
+                          <div
+                            className={`w-full rounded-sm ${getBarColor(core.usage, 'cpu')}`}
+                            style={{ height: `${Math.min(core.usage, 100)}%` }}
+                          ></div>
+                        </div>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                      usr {metrics.cpuDetail.user}% · sys {metrics.cpuDetail.system}% · io {metrics.cpuDetail.iowait}% · steal {metrics.cpuDetail.steal}%
+                    </p>
+                  </div>
+                )}
               </div>
 
               <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-green-500">
@@ -139,6 +237,9 @@ export default function Dashboard() {
                     <p className="text-3xl font-bold text-purple-600">
                       {metrics.network || 0} Mbps
                     </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      ↓ {formatRate(metrics.networkTraffic?.rxBytesPerSec)} · ↑ {formatRate(metrics.networkTraffic?.txBytesPerSec)}
+                    </p>
                   </div>
                   <div className="p-3 bg-purple-100 rounded-full">
                     <svg className="w-6 h-6 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -149,6 +250,100 @@ export default function Dashboard() {
               </div>
             </div>
 
+            {unknownHost && (
+              <div className="p-4 bg-yellow-50 text-yellow-800 rounded-lg">
+                No metrics have been reported by <span className="font-semibold">{hostname}</span>.
+              </div>
+            )}
+
+            {/* Historical Charts; an unknown host has none, and without a
+                hostname the history would be this server's */}
+            {!unknownHost && <MetricsHistory host={metrics.hostname} metrics={metrics} />}
+
+            {/* Filesystems */}
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Filesystems</h3>
+              {metrics.disks && metrics.disks.length > 0 ? (
+                <div className="space-y-4">
+                  {metrics.disks.map((disk) => (
+                    <div key={disk.mount}>
+                      <div className="flex justify-between text-sm mb-1">
+                        <div>
+                          <span className="font-medium text-gray-900">{disk.mount}</span>
+                          <span className="ml-2 text-gray-500">{disk.device} ({disk.fsType})</span>
+                        </div>
+                        <div className="text-gray-600">
+                          {formatBytes(disk.used)} / {formatBytes(disk.total)}
+                          <span className={`ml-3 font-semibold ${getStatusColor(disk.usedPercent, 'disk')}`}>
+                            {disk.usedPercent}%
+                          </span>
+                        </div>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className={`h-2 rounded-full ${getBarColor(disk.usedPercent, 'disk')}`}
+                          style={{ width: `${Math.min(disk.usedPercent, 100)}%` }}
+                        ></div>
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {formatBytes(disk.free)} free · Inodes {disk.inodes.usedPercent}% used
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">No filesystem data available</p>
+              )}
+            </div>
+
+            {/* Network Interfaces */}
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Network Interfaces</h3>
+              {metrics.networkTraffic?.interfaces?.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        <th className="pb-2 pr-4">Interface</th>
+                        <th className="pb-2 pr-4">Inbound</th>
+                        <th className="pb-2 pr-4">Outbound</th>
+                        <th className="pb-2 pr-4">Packets/s (in/out)</th>
+                        <th className="pb-2 pr-4">Errors</th>
+                        <th className="pb-2">Drops</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {metrics.networkTraffic.interfaces.map((iface) => (
+                        <tr key={iface.name}>
+                          <td className="py-2 pr-4">
+                            <div className="font-medium text-gray-900">{iface.name}</div>
+                            <div className="text-xs text-gray-500">{iface.addresses.join(', ') || 'No address'}</div>
+                          </td>
+                          {iface.rx ? (
+                            <>
+                              <td className="py-2 pr-4 text-purple-600 font-medium">{formatRate(iface.rx.bytesPerSec)}</td>
+                              <td className="py-2 pr-4 text-purple-600 font-medium">{formatRate(iface.tx.bytesPerSec)}</td>
+                              <td className="py-2 pr-4 text-gray-600">{iface.rx.packetsPerSec} / {iface.tx.packetsPerSec}</td>
+                              <td className={`py-2 pr-4 ${iface.rx.errors + iface.tx.errors > 0 ? 'text-red-600 font-semibold' : 'text-gray-600'}`}>
+                                {iface.rx.errors + iface.tx.errors}
+                              </td>
+                              <td className={`py-2 ${iface.rx.dropped + iface.tx.dropped > 0 ? 'text-yellow-600 font-semibold' : 'text-gray-600'}`}>
+                                {iface.rx.dropped + iface.tx.dropped}
+                              </td>
+                            </>
+                          ) : (
+                            <td colSpan={5} className="py-2 text-gray-500">Counters not available on this platform</td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">No network data available</p>
+              )}
+            </div>
+
             {/* System Information */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               <div className="bg-white rounded-xl shadow-lg p-6">
@@ -184,12 +379,12 @@ export default function Dashboard() {
               <div className="bg-white rounded-xl shadow-lg p-6">
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">System Status</h3>
                 <div className="space-y-4">
-                  <div className="flex items-center justify-between p-3 bg-green-50 rounded-lg">
+                  <div className={`flex items-center justify-between p-3 rounded-lg ${health.bgClass}`}>
                     <div className="flex items-center">
-                      <div className="w-3 h-3 bg-green-500 rounded-full mr-3"></div>
+                      <div className={`w-3 h-3 rounded-full mr-3 ${health.dotClass}`}></div>
                       <span className="font-medium">System Health</span>
                     </div>
-                    <span className="text-green-600 font-semibold">Excellent</span>
+                    <span className={`font-semibold ${health.textClass}`}>{health.label}</span>
                   </div>
                   <div className="flex items-center justify-between p-3 bg-blue-50 rounded-lg">
                     <div className="flex items-center">
@@ -198,12 +393,33 @@ export default function Dashboard() {
                     </div>
                     <span className="text-blue-600 font-semibold">Running</span>
                   </div>
-                  <div className="flex items-center justify-between p-3 bg-yellow-50 rounded-lg">
-                    <div className="flex items-center">
-                      <div className="w-3 h-3 bg-yellow-500 rounded-full mr-3"></div>
-                      <span className="font-medium">Alerts</span>
+                  <div className="p-3 bg-yellow-50 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center">
+                        <div className="w-3 h-3 bg-yellow-500 rounded-full mr-3"></div>
+                        <span className="font-medium">Alerts</span>
+                      </div>
+                      <span className="text-yellow-600 font-semibold">
+                        {firingAlerts.length} Active
+                        {pendingAlerts.length > 0 && (
+                          <span className="ml-2 text-xs font-normal text-gray-500">({pendingAlerts.length} pending)</span>
+                        )}
+                      </span>
                     </div>
-                    <span className="text-yellow-600 font-semibold">0 Active</span>
+                    {firingAlerts.length > 0 && (
+                      <ul className="mt-3 space-y-1 text-sm">
+                        {firingAlerts.map((alert) => (
+                          <li key={alert.id} className="flex justify-between">
+                            <span className={alert.severity === 'critical' ? 'text-red-600' : 'text-yellow-700'}>
+                              {alert.name} <span className="text-gray-500">on {alert.hostname}</span>
+                            </span>
+                            <span className="text-gray-600">
+                              {alert.value} {alert.comparator} {alert.threshold}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
                   <div className="text-xs text-gray-500 text-center mt-4">
                     Last updated: {metrics.timestamp ? new Date(metrics.timestamp).toLocaleString() : 'Never'}
@@ -211,10 +427,25 @@ export default function Dashboard() {
                 </div>
               </div>
             </div>
+
+            {/* Hosts */}
+            {hosts.length > 0 && <HostList hosts={hosts} currentHost={metrics.hostname} />}
           </div>
         )}
 
-        {activeTab === 'users' && <UserManagement />}
+        {activeTab === 'users' && (
+          <RequirePermission permission="users:read">
+            <UserManagement />
+          </RequirePermission>
+        )}
+
+        {activeTab === 'alerts' && <AlertManagement />}
+
+        {activeTab === 'audit' && (
+          <RequirePermission permission="audit:read">
+            <AuditLog />
+          </RequirePermission>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Navbar from '../components/Navbar.jsx';
+import { useWsContext } from '../context/WebsocketContext.jsx';
+import { fetchMetricsHeatmap } from '../api/metrics.js';
+import { breachedSeverity, SEVERITIES } from '../api/alerts.js';
+
+const METRICS = ['cpu', 'memory', 'disk', 'network'];
+const HEATMAP_REFRESH_MS = 60000;
+
+const TILE_STYLES = {
+  critical: 'bg-red-50 border-red-500',
+  warning: 'bg-yellow-50 border-yellow-500',
+  info: 'bg-blue-50 border-blue-500',
+  ok: 'bg-green-50 border-green-500',
+  offline: 'bg-gray-100 border-gray-400'
+};
+
+// Ranks tiles for the "Health" sort: offline first, then worst severity
+const HEALTH_ORDER = ['offline', 'critical', 'warning', 'info', 'ok'];
+
+const heatColor = (value) => {
+  if (value === undefined) return 'bg-gray-100';
+  if (value < 20) return 'bg-green-100';
+  if (value < 40) return 'bg-green-300';
+  if (value < 60) return 'bg-yellow-300';
+  if (value < 80) return 'bg-orange-400';
+  return 'bg-red-500';
+};
+
+export default function FleetPage() {
+  const { hosts, alertRules } = useWsContext();
+  const navigate = useNavigate();
+  const [search, setSearch] = useState('');
+  const [platform, setPlatform] = useState('');
+  const [tag, setTag] = useState('');
+  const [status, setStatus] = useState('');
+  const [sortBy, setSortBy] = useState('health');
+  const [heatmapMetric, setHeatmapMetric] = useState('cpu');
+  const [heatmap, setHeatmap] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => fetchMetricsHeatmap(heatmapMetric)
+      .then(data => { if (!cancelled) setHeatmap(data); })
+      .catch(error => console.error('Error fetching heatmap:', error));
+
+    load();
+    const interval = setInterval(load, HEATMAP_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [heatmapMetric]);
+
+  // Worst breached rule across every metric; offline trumps everything
+  const healthOf = (host) => {
+    if (host.status === 'offline') return 'offline';
+    return METRICS
+      .map(metric => breachedSeverity(alertRules, metric, host.metrics[metric]))
+      .reduce((worst, severity) => (
+        severity && (worst === 'ok' || SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(worst)) ? severity : worst
+      ), 'ok');
+  };
+
+  const platforms = [...new Set(hosts.map(host => host.platform))].sort();
+  const tags = [...new Set(hosts.flatMap(host => host.tags))].sort();
+
+  const sorters = {
+    health: (a, b) => HEALTH_ORDER.indexOf(healthOf(a)) - HEALTH_ORDER.indexOf(healthOf(b)) || a.hostname.localeCompare(b.hostname),
+    hostname: (a, b) => a.hostname.localeCompare(b.hostname),
+    platform: (a, b) => a.platform.localeCompare(b.platform) || a.hostname.localeCompare(b.hostname),
+    cpu: (a, b) => b.metrics.cpu - a.metrics.cpu,
+    memory: (a, b) => b.metrics.memory - a.metrics.memory
+  };
+
+  const visibleHosts = hosts
+    .filter(host => host.hostname.toLowerCase().includes(search.toLowerCase()))
+    .filter(host => !platform || host.platform === platform)
+    .filter(host => !tag || host.tags.includes(tag))
+    .filter(host => !status || host.status === status)
+    .sort(sorters[sortBy]);
+
+  const counts = hosts.reduce((acc, host) => {
+    const health = healthOf(host);
+    return { ...acc, [health]: (acc[health] || 0) + 1 };
+  }, {});
+
+  // Column start times shared by every heatmap row
+  const slots = [];
+  if (heatmap) {
+    const from = Date.parse(heatmap.from);
+    const to = Date.parse(heatmap.to);
+    for (let t = from; t < to; t += heatmap.step * 1000) slots.push(t);
+  }
+  const visibleNames = new Set(visibleHosts.map(host => host.hostname));
+  const heatmapRows = heatmap
+    ? heatmap.hosts
+      .filter(row => visibleNames.has(row.host))
+      .map(row => ({
+        host: row.host,
+        values: row.points.reduce((acc, point) => ({ ...acc, [Date.parse(point.timestamp)]: point.value }), {})
+      }))
+    : [];
+
+  const selectClass = 'border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
+      <Navbar />
+
+      {/* Hero Section */}
+      <div className="bg-gradient-to-r from-blue-900 via-blue-800 to-indigo-900 text-white py-12">
+        <div className="max-w-7xl mx-auto px-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-4xl font-bold mb-2">Fleet Overview</h1>
+              <p className="text-blue-200 text-lg">{hosts.length} hosts reporting</p>
+            </div>
+            <div className="hidden md:flex space-x-4">
+              {HEALTH_ORDER.filter(health => counts[health]).map(health => (
+                <div key={health} className="bg-white/10 backdrop-blur-sm rounded-lg px-4 py-3 text-center">
+                  <div className="text-2xl font-bold">{counts[health]}</div>
+                  <div className="text-xs text-blue-200 uppercase">{health}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-8 space-y-8">
+        {/* Filters */}
+        <div className="bg-white rounded-xl shadow-lg p-4 flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search hostname..."
+            className={`${selectClass} flex-1 min-w-[12rem]`}
+          />
+          <select value={platform} onChange={(e) => setPlatform(e.target.value)} className={selectClass}>
+            <option value="">All platforms</option>
+            {platforms.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+          <select value={tag} onChange={(e) => setTag(e.target.value)} className={selectClass}>
+            <option value="">All tags</option>
+            {tags.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <select value={status} onChange={(e) => setStatus(e.target.value)} className={selectClass}>
+            <option value="">Any status</option>
+            <option value="online">Online</option>
+            <option value="offline">Offline</option>
+          </select>
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className={selectClass}>
+            <option value="health">Sort: health</option>
+            <option value="hostname">Sort: hostname</option>
+            <option value="platform">Sort: platform</option>
+            <option value="cpu">Sort: CPU</option>
+            <option value="memory">Sort: memory</option>
+          </select>
+        </div>
+
+        {/* Host Grid */}
+        {visibleHosts.length === 0 ? (
+          <p className="text-center text-gray-500">No hosts match the current filters</p>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
+            {visibleHosts.map((host) => {
+              const health = healthOf(host);
+              return (
+                <button
+                  key={host.hostname}
+                  onClick={() => navigate(`/dashboard/${encodeURIComponent(host.hostname)}`)}
+                  className={`text-left rounded-xl shadow p-4 border-l-4 hover:shadow-lg transition-shadow ${TILE_STYLES[health]}`}
+                  title={`${host.hostname}: ${health}`}
+                >
+                  <div className="font-semibold text-gray-900 truncate">{host.hostname}</div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {host.platform}{host.tags.length > 0 && ` · ${host.tags.join(', ')}`}
+                  </div>
+                  <div className="mt-3 grid grid-cols-3 gap-1 text-xs text-gray-700">
+                    <div><div className="text-gray-500">CPU</div>{host.metrics.cpu}%</div>
+                    <div><div className="text-gray-500">Mem</div>{host.metrics.memory}%</div>
+                    <div><div className="text-gray-500">Disk</div>{host.metrics.disk}%</div>
+                  </div>
+                  {host.status === 'offline' && (
+                    <div className="mt-2 text-xs font-semibold text-gray-600">
+                      Offline since {new Date(host.lastSeen).toLocaleTimeString()}
+                    </div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Heatmap */}
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Last Hour</h3>
+              <p className="text-sm text-gray-500">
+                {heatmap ? `${heatmap.step / 60}-minute averages per host` : 'Loading...'}
+              </p>
+            </div>
+            <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden">
+              {['cpu', 'memory'].map((metric) => (
+                <button
+                  key={metric}
+                  onClick={() => setHeatmapMetric(metric)}
+                  className={`px-3 py-1 text-sm font-medium transition-colors ${
+                    heatmapMetric === metric ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'
+                  }`}
+                >
+                  {metric === 'cpu' ? 'CPU' : 'Memory'}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <div className="space-y-1 min-w-[40rem]">
+              {heatmapRows.map((row) => (
+                <div key={row.host} className="flex items-center">
+                  <button
+                    onClick={() => navigate(`/dashboard/${encodeURIComponent(row.host)}`)}
+                    className="w-40 flex-shrink-0 text-left text-xs font-medium text-gray-700 hover:text-blue-600 truncate pr-2"
+                  >
+                    {row.host}
+                  </button>
+                  <div className="flex flex-1 space-x-px">
+                    {slots.map((t) => (
+                      <div
+                        key={t}
+                        className={`flex-1 h-5 ${heatColor(row.values[t])}`}
+                        title={`${row.host} · ${new Date(t).toLocaleTimeString()} · ${
+                          row.values[t] === undefined ? 'no data' : `${row.values[t]}%`
+                        }`}
+                      ></div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {slots.length > 0 && (
+                <div className="flex text-xs text-gray-500 pt-1">
+                  <div className="w-40 flex-shrink-0"></div>
+                  <div className="flex-1 flex justify-between">
+                    <span>{new Date(slots[0]).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                    <span>now</span>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-end space-x-2 mt-4 text-xs text-gray-500">
+            <span>0%</span>
+            {[10, 30, 50, 70, 90].map(value => <div key={value} className={`w-6 h-3 ${heatColor(value)}`}></div>)}
+            <span>100%</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,16 +1,24 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { Navigate } from 'react-router-dom';
 import { GoogleLogin } from '@react-oauth/google';
-import { jwtDecode } from 'jwt-decode';
 import { useAuthContext } from '../context/AuthContext.jsx';
 
 export default function LoginPage() {
-  const { login } = useAuthContext();
+  const { user, login } = useAuthContext();
+  const [error, setError] = useState(null);
 
-  const handleSuccess = credentialResponse => {
-    const user = jwtDecode(credentialResponse.credential);
-    login(user);
+  // The backend verifies the ID token and answers with a session cookie
+  const handleSuccess = async credentialResponse => {
+    try {
+      setError(null);
+      await login(credentialResponse.credential);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
   };
 
+  if (user) return <Navigate to="/chat" />;
+
   return (
     <>
       <div className="min-h-screen bg-gradient-to-br from-blue-900 via-blue-800 to-indigo-900 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
@@ -51,7 +59,7 @@ export default function LoginPage() {
               <div className="flex justify-center">
                 <GoogleLogin 
                   onSuccess={handleSuccess} 
-                  onError={() => console.error('Login Failed')}
+                  onError={() => setError('Google sign-in failed')}
                   size="large"
                   text="signin_with"
                   shape="rectangular"
@@ -60,6 +68,10 @@ export default function LoginPage() {
                 />
               </div>
 
+              {error && (
+                <div className="p-3 bg-red-50 text-red-700 text-sm rounded-lg text-center">{error}</div>
+              )}
+
               <div className="relative">
                 <div className="absolute inset-0 flex items-center">
                   <div className="w-full border-t border-gray-300" />